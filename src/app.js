@@ -2,7 +2,8 @@ import dotenv from "dotenv";
 import express, { json, urlencoded } from "express";
 import mongoose from "mongoose";
 import { limiter } from "./config/rate-limiter.js";
-import { redisA, redisB } from "./config/redis.js";
+import { redisNodes } from "./config/redis.js";
+import { localUploadsPath, serveLocalUploads } from "./config/storage/index.js";
 import { compressionMiddleware } from "./middleware/compressionMiddleware.js";
 import { corsMiddleware } from "./middleware/corsMiddleware.js";
 import {
@@ -13,16 +14,36 @@ import {
   sanitizeNoSQL,
   sanitizeXSS,
 } from "./middleware/sanitizationMiddleware.js";
+import { httpMetrics } from "./middleware/metricsMiddleware.js";
 import { securityMiddleware } from "./middleware/securityMiddleware.js";
-import authRoutes from "./routes/authRoutes.js";
-import { globalErrorHandler } from "./utils/errorHandler.js";
+import { operations } from "./config/openapi.js";
+import docsRoutes from "./routes/docsRoutes.js";
+import { apiRoutes } from "./routes/index.js";
+import metricsRoutes from "./routes/metricsRoutes.js";
+import { globalErrorHandler, notFoundHandler } from "./utils/errorHandler.js";
 import { morganMiddleware } from "./utils/logger.js";
+import { observeMongoPool } from "./utils/metrics.js";
+import { validateResponses } from "./utils/openapi.js";
+import {
+  recordMountPath,
+  requestContextMiddleware,
+} from "./utils/requestContext.js";
+import { assertTokenSecrets } from "./utils/tokenService.js";
+import { startUploadSweeper } from "./utils/completedUploads.js";
 dotenv.config();
 
+// Refuse to start with secrets that would let tokens of one kind pass as another
+assertTokenSecrets();
+
 const PORT = process.env.PORT || 3000;
+const METRICS_PORT = process.env.METRICS_PORT;
 const app = express();
 
-// Security middleware (should be first)
+// Request IDs first, so everything after can log with them
+app.use(requestContextMiddleware);
+app.use(httpMetrics);
+
+// Security middleware
 app.use(securityMiddleware);
 app.use(timeoutMiddleware(30000)); // 30 second timeout
 app.use(compressionMiddleware);
@@ -37,6 +58,14 @@ app.use(sanitizeXSS);
 
 // CORS and rate limiting
 app.use(corsMiddleware);
+
+// Metrics are served on the internal METRICS_PORT when set, otherwise here
+// behind METRICS_TOKEN, and not at all without either. Scrapes aren't
+// access-logged or rate limited.
+if (!METRICS_PORT && process.env.METRICS_TOKEN) {
+  app.use(metricsRoutes);
+}
+
 app.use(morganMiddleware);
 app.use(limiter);
 
@@ -50,19 +79,23 @@ app.get("/health", (req, res) => {
   });
 });
 
-app.use("/api/v1/auth", authRoutes);
+// Test mode: responses that don't match the OpenAPI document become 500s
+if (process.env.OPENAPI_VALIDATE_RESPONSES === "true") {
+  app.use(validateResponses(operations));
+}
+
+app.use(localUploadsPath, serveLocalUploads);
+for (const [path, router] of Object.entries(apiRoutes)) {
+  app.use(path, recordMountPath, router);
+}
+app.use("/api/v1", recordMountPath, docsRoutes);
 
 app.get("/", (req, res) => {
   res.send("Hello World");
 });
 
 // 404 handler for unmatched routes
-app.use("*", (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: "Route not found",
-  });
-});
+app.use("*", notFoundHandler);
 
 app.use(globalErrorHandler);
 
@@ -74,9 +107,20 @@ app.listen(PORT, async () => {
     })
     .then(() => {
       console.log("Connected to MongoDB");
+      startUploadSweeper();
     })
     .catch((err) => {
       console.error("Error connecting to MongoDB", err);
     });
-  await Promise.all([redisA.connect(), redisB.connect()]);
+  observeMongoPool(mongoose.connection.getClient());
+  await Promise.all(redisNodes.map(({ client }) => client.connect()));
 });
+
+if (METRICS_PORT) {
+  const metricsApp = express();
+  metricsApp.use(metricsRoutes);
+  metricsApp.use(globalErrorHandler);
+  metricsApp.listen(METRICS_PORT, () => {
+    console.log(`Metrics are served on port ${METRICS_PORT}`);
+  });
+}
@@ -1,5 +1,6 @@
 import { v2 as cloudinary } from "cloudinary";
 import dotenv from "dotenv";
+import { AppError } from "../utils/errorHandler.js";
 
 dotenv.config({ path: "../.env"});
 cloudinary.config({
@@ -30,9 +31,6 @@ export const uploadToCloudinary = async (fileBuffer, options = {}) => {
   try {
     const config = { ...defaultUploadOptions, ...options };
 
-    const fileBase64 = fileBuffer.toString("base64");
-    const dataUri = `data:image/jpeg;base64,${fileBase64}`;
-
     const uploadOptions = {
       folder: config.folder,
       resource_type: "image",
@@ -42,8 +40,33 @@ export const uploadToCloudinary = async (fileBuffer, options = {}) => {
       uploadOptions.public_id = config.publicId;
     }
 
-    const result = await cloudinary.uploader.upload(dataUri, uploadOptions);
-    
+    // Incoming transformation: applied before the original is stored
+    const resize = {
+      width: config.width,
+      height: config.height,
+      crop: config.crop,
+      quality: config.quality,
+    };
+    const transformation = [
+      Object.fromEntries(
+        Object.entries(resize).filter(([, value]) => value !== undefined)
+      ),
+      ...[].concat(config.transformation || []),
+    ].filter((step) => Object.keys(step).length > 0);
+
+    if (transformation.length > 0) {
+      uploadOptions.transformation = transformation;
+    }
+
+    // Streams the raw bytes, so Cloudinary detects the real file type
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader
+        .upload_stream(uploadOptions, (error, uploadResult) =>
+          error ? reject(error) : resolve(uploadResult)
+        )
+        .end(fileBuffer);
+    });
+
     return {
       url: result.secure_url,
       public_id: result.public_id,
@@ -100,33 +123,100 @@ export const deleteMultipleFromCloudinary = async (publicIds, options = {}) => {
   }
 };
 
-// Predefined upload configurations for common use cases
-export const uploadProfileImage = (fileBuffer, publicId) =>
-  uploadToCloudinary(fileBuffer, {
-    folder: "profiles",
-    width: 500,
-    height: 500,
-    crop: "fill",
-    quality: "auto",
-    publicId,
+/**
+ * Build the delivery URL of a derived (transformed) version of an image.
+ * Cloudinary generates it on first request.
+ * @param {string} publicId - Public ID of the image
+ * @param {Object} options - Transformation options
+ * @param {number} options.width - Width
+ * @param {number} options.height - Height
+ * @param {string} options.crop - Crop mode
+ * @param {string} options.quality - Image quality
+ * @param {string} options.format - Delivery format (e.g. webp, avif)
+ * @returns {string} Image URL
+ */
+export const buildCloudinaryUrl = (publicId, options = {}) => {
+  const { format, ...transformation } = options;
+  return cloudinary.url(publicId, {
+    secure: true,
+    transformation: [transformation],
+    format,
   });
+};
 
-export const uploadPostImage = (fileBuffer) =>
-  uploadToCloudinary(fileBuffer, {
-    folder: "posts",
-    width: 1200,
-    height: 800,
-    crop: "limit",
-    quality: "auto",
+/**
+ * Create a time-limited download URL for a Cloudinary image
+ * @param {string} publicId - Public ID of the image
+ * @param {Object} options - URL options
+ * @param {number} options.expiresIn - Lifetime in seconds (default: 3600)
+ * @param {string} options.format - Image format (default: "jpg")
+ * @returns {string} Signed URL
+ */
+export const getSignedCloudinaryUrl = (publicId, options = {}) => {
+  const { expiresIn = 3600, format = "jpg" } = options;
+  return cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: "image",
+    type: "upload",
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
   });
+};
 
-export const uploadThumbnail = (fileBuffer) =>
-  uploadToCloudinary(fileBuffer, {
-    folder: "thumbnails",
-    width: 300,
-    height: 200,
-    crop: "fill",
-    quality: "good",
-  });
+/**
+ * Sign the parameters of an upload the client sends straight to Cloudinary.
+ * Cloudinary rejects the signature one hour after it was created.
+ * @param {Object} options - Upload options
+ * @param {string} options.publicId - Public ID the file is stored under
+ * @returns {{url: string, fields: Object}} Upload endpoint and the form
+ *   fields to post with the file
+ */
+export const getCloudinaryUploadParams = ({ publicId }) => {
+  const { api_key, api_secret, cloud_name } = cloudinary.config();
+  const params = {
+    public_id: publicId,
+    timestamp: Math.floor(Date.now() / 1000),
+  };
+  return {
+    url: `https://api.cloudinary.com/v1_1/${cloud_name}/image/upload`,
+    fields: {
+      ...params,
+      api_key,
+      signature: cloudinary.utils.api_sign_request(params, api_secret),
+    },
+  };
+};
+
+/**
+ * Download the original of a Cloudinary image
+ * @param {string} publicId - Public ID of the image
+ * @param {Object} options - Download options
+ * @param {number} options.maxBytes - Reject larger files, checked against
+ *   Content-Length before the body is read and while it streams in
+ * @returns {Promise<Buffer>} File contents
+ */
+export const downloadFromCloudinary = async (publicId, { maxBytes } = {}) => {
+  const response = await fetch(
+    cloudinary.url(publicId, { secure: true, resource_type: "image" })
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to download ${publicId}: ${response.status}`);
+  }
+
+  const tooLarge = () =>
+    new AppError("File too large", 413, { code: "LIMIT_FILE_SIZE" });
+  if (maxBytes && Number(response.headers.get("content-length")) > maxBytes) {
+    await response.body.cancel();
+    throw tooLarge();
+  }
+
+  // Content-Length is missing from chunked responses, so count as well
+  const chunks = [];
+  let bytes = 0;
+  for await (const chunk of response.body) {
+    bytes += chunk.length;
+    if (maxBytes && bytes > maxBytes) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
 
 export default cloudinary;
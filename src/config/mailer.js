@@ -0,0 +1,79 @@
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "../utils/logger.js";
+dotenv.config();
+
+// Logs every message instead of delivering it (local development). Not
+// redacted, so the links in it can be followed.
+const consoleTransport = () => ({
+  send: async (message) => {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`, {
+      redact: false,
+    });
+    return { id: null };
+  },
+});
+
+// Writes every message as a JSON file so tests can read them back
+const fileTransport = ({ dir = process.env.MAIL_DIR || "logs/mail" } = {}) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  },
+});
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+/**
+ * Register an additional mail transport (e.g. SMTP or a provider API)
+ * @param {string} name - Name used in MAIL_TRANSPORT
+ * @param {Function} factory - Returns an object with an async send(message) method
+ */
+export const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the active transport (useful in tests)
+ * @param {Object} transport - Object with an async send(message) method
+ */
+export const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} message.html - Optional HTML body
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendMail = async (message) => {
+  const from = process.env.MAIL_FROM || "no-reply@localhost";
+  return getTransport().send({ from, ...message });
+};
@@ -1,35 +1,134 @@
 import multer from "multer";
+import { FileRejectedError, inspectImage } from "../utils/fileInspector.js";
+import { documented } from "../utils/openapi.js";
+import { bindRequestContext } from "../utils/requestContext.js";
 
 const defaultImageConfig = {
   maxFileSize: 5 * 1024 * 1024, // 5 MB
   allowedMimeTypes: ["image/jpeg", "image/png", "image/jpg", "image/webp"],
   errorMessage: "Only JPG, JPEG, PNG, and WebP images are allowed!",
+  maxWidth: 8000, // pixels
+  maxHeight: 8000, // pixels
+  maxPixels: 40 * 1000 * 1000, // 40 megapixels, guards against decompression bombs
+  stripMetadata: true, // Remove EXIF/GPS data
+  scanner: null, // Virus scanner adapter, see setVirusScanner in utils/fileInspector.js
 };
 
+// Multer error codes mapped to client-facing messages
+const multerErrors = {
+  LIMIT_FILE_SIZE: (config) =>
+    `File must not exceed ${Math.round(config.maxFileSize / 1024 / 1024)} MB`,
+  LIMIT_FILE_COUNT: () => "Too many files",
+  LIMIT_UNEXPECTED_FILE: () => "Unexpected file field",
+  LIMIT_PART_COUNT: () => "Too many parts",
+  LIMIT_FIELD_KEY: () => "Field name too long",
+  LIMIT_FIELD_VALUE: () => "Field value too long",
+  LIMIT_FIELD_COUNT: () => "Too many fields",
+};
+
+const collectFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+// Runs multer, then checks every received file's real content. `files`
+// ([{ name, maxCount }]) describes the file fields in the OpenAPI document.
+// Multer calls back from busboy's events, outside the request's context,
+// so the callback is bound to it.
+const withInspection = (config, multerMiddleware, files) => [
+  documented(
+    (req, res, next) => {
+      multerMiddleware(
+        req,
+        res,
+        bindRequestContext((err) => {
+          if (err instanceof multer.MulterError) {
+            const message = (multerErrors[err.code] || (() => err.message))(
+              config
+            );
+            const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+            return next(
+              new FileRejectedError(message, status, err.code, err.field)
+            );
+          }
+          next(err);
+        })
+      );
+    },
+    {
+      files: files.map((file) => ({
+        ...file,
+        contentTypes: config.allowedMimeTypes,
+        maxFileSize: config.maxFileSize,
+      })),
+    }
+  ),
+  async (req, res, next) => {
+    for (const file of collectFiles(req)) {
+      try {
+        Object.assign(file, await inspectImage(file, config));
+      } catch (error) {
+        if (error instanceof FileRejectedError) {
+          return next(
+            new FileRejectedError(
+              error.message,
+              error.statusCode,
+              error.code,
+              file.fieldname
+            )
+          );
+        }
+        return next(error);
+      }
+    }
+    next();
+  },
+];
+
 /**
- * Create a multer middleware for image uploads to Cloudinary
+ * Create a multer middleware for image uploads to the storage adapter.
+ * File types are confirmed from the file bytes rather than the client's
+ * Content-Type, and images are sanitized before reaching the route handler.
  * @param {Object} options - Configuration options
  * @param {number} options.maxFileSize - Maximum file size in bytes (default: 5MB)
  * @param {string[]} options.allowedMimeTypes - Array of allowed image MIME types
  * @param {string} options.errorMessage - Custom error message for invalid files
- * @returns {multer.Multer} Configured multer instance for memory storage
+ * @param {number} options.maxWidth - Maximum width in pixels (default: 8000)
+ * @param {number} options.maxHeight - Maximum height in pixels (default: 8000)
+ * @param {number} options.maxPixels - Maximum total pixels (default: 40 MP)
+ * @param {boolean} options.stripMetadata - Strip EXIF/GPS metadata (default: true)
+ * @param {Object} options.scanner - Virus scanner adapter with async scan(buffer, file)
+ * @returns {Object} Object with single/array/fields methods, each returning
+ *   the middleware chain to use in a route, and the resolved config
  */
 export const createImageUpload = (options = {}) => {
   const config = { ...defaultImageConfig, ...options };
 
-  return multer({
-    storage: multer.memoryStorage(), // Memory storage for Cloudinary
+  const upload = multer({
+    storage: multer.memoryStorage(), // Memory storage for the storage adapter
     limits: {
       fileSize: config.maxFileSize,
     },
-    fileFilter: (req, file, cb) => {
-      if (config.allowedMimeTypes.includes(file.mimetype)) {
-        cb(null, true);
-      } else {
-        cb(new Error(config.errorMessage), false);
-      }
-    },
   });
+
+  return {
+    single: (fieldName) =>
+      withInspection(config, upload.single(fieldName), [
+        { name: fieldName, maxCount: 1 },
+      ]),
+    array: (fieldName, maxCount) =>
+      withInspection(config, upload.array(fieldName, maxCount), [
+        { name: fieldName, maxCount },
+      ]),
+    fields: (fields) =>
+      withInspection(
+        config,
+        upload.fields(fields),
+        fields.map(({ name, maxCount = 1 }) => ({ name, maxCount }))
+      ),
+    config,
+  };
 };
 
 // Predefined image upload configurations
@@ -44,4 +143,18 @@ export const postImageUpload = createImageUpload({
 export const thumbnailUpload = createImageUpload({
   maxFileSize: 1 * 1024 * 1024, // 1 MB for thumbnails
   allowedMimeTypes: ["image/jpeg", "image/png", "image/jpg"], // No WebP for thumbnails
-});
\ No newline at end of file
+});
+
+// Limits of the image presets that accept signed direct and chunked uploads
+export const directUploadConfigs = {
+  profile: profileImageUpload.config,
+  post: postImageUpload.config,
+  thumbnail: thumbnailUpload.config,
+};
+
+// Chunk sizes clients may pick for resumable uploads of those presets
+export const chunkSizeLimits = {
+  min: 256 * 1024, // 256 KB
+  max: 5 * 1024 * 1024, // 5 MB
+  default: 1024 * 1024, // 1 MB
+};
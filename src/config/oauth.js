@@ -0,0 +1,65 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+const DEFAULT_SCOPES = "openid email profile";
+
+const envName = (name) => name.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+
+/**
+ * Parse the OpenID Connect providers named in OAUTH_PROVIDERS. Each provider
+ * `<name>` is configured through OAUTH_<NAME>_ISSUER, OAUTH_<NAME>_CLIENT_ID,
+ * OAUTH_<NAME>_CLIENT_SECRET and optionally OAUTH_<NAME>_SCOPES and
+ * OAUTH_<NAME>_REDIRECT_URI.
+ * @param {Object} env - Environment variables
+ * @returns {Map<string, Object>} Provider name to { name, issuer, clientId,
+ *   clientSecret, scopes, redirectUri }
+ * @throws {Error} When a listed provider is missing its issuer or client ID
+ */
+export const parseOAuthProviders = (env) => {
+  const baseUrl = env.BASE_URL || "http://localhost:3000";
+  const names = (env.OAUTH_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return new Map(
+    names.map((name) => {
+      const prefix = `OAUTH_${envName(name)}_`;
+      const issuer = env[`${prefix}ISSUER`];
+      const clientId = env[`${prefix}CLIENT_ID`];
+      if (!issuer || !clientId) {
+        throw new Error(
+          `OAuth provider "${name}" needs ${prefix}ISSUER and ${prefix}CLIENT_ID`
+        );
+      }
+      return [
+        name,
+        {
+          name,
+          issuer,
+          clientId,
+          clientSecret: env[`${prefix}CLIENT_SECRET`],
+          scopes: env[`${prefix}SCOPES`] || DEFAULT_SCOPES,
+          redirectUri:
+            env[`${prefix}REDIRECT_URI`] ||
+            `${baseUrl}/api/v1/auth/oauth/${name}/callback`,
+        },
+      ];
+    })
+  );
+};
+
+const providers = parseOAuthProviders(process.env);
+
+/**
+ * Look up a configured provider
+ * @param {string} name - Provider name as listed in OAUTH_PROVIDERS
+ * @returns {Object|null} Provider configuration
+ */
+export const getOAuthProvider = (name) => providers.get(name) || null;
+
+/**
+ * Names of every configured provider
+ * @returns {string[]}
+ */
+export const getOAuthProviderNames = () => [...providers.keys()];
@@ -0,0 +1,492 @@
+import Joi from "joi";
+import { objectIdSchema } from "./schemas.js";
+
+// Summaries and success responses of every route, keyed by operationKey()
+// in utils/openapi.js. Everything else in the OpenAPI document (parameters,
+// request bodies, security, error responses) comes from the routes'
+// middleware. Response schemas are Joi, so OPENAPI_VALIDATE_RESPONSES can
+// check real responses against them.
+
+export const openApiInfo = {
+  title: "Express Starter API",
+  version: "1.0.0",
+  description:
+    "Errors are RFC 7807 problems (application/problem+json) with a stable `code`.",
+};
+
+const dateSchema = Joi.date().iso();
+
+const successResponse = (keys = {}) =>
+  Joi.object({ success: Joi.boolean().valid(true).required(), ...keys });
+
+const messageResponse = successResponse({ message: Joi.string().required() });
+
+const variantSchema = Joi.object({
+  name: Joi.string(),
+  format: Joi.string(),
+  url: Joi.string(),
+  publicId: Joi.string(),
+  width: Joi.number(),
+  height: Joi.number(),
+});
+
+const imageSchema = Joi.object({
+  url: Joi.string(),
+  publicId: Joi.string(),
+  width: Joi.number(),
+  height: Joi.number(),
+  variants: Joi.array().items(variantSchema),
+});
+
+// A processed upload, straight from the storage adapter
+const uploadResultKeys = {
+  imageUrl: Joi.string().required(),
+  publicId: Joi.string().required(),
+  width: Joi.number(),
+  height: Joi.number(),
+  variants: Joi.array().items(variantSchema),
+};
+const uploadResultResponse = successResponse(uploadResultKeys);
+
+// A completed direct or chunked upload, waiting to be used by its ID
+const completedUploadResponse = successResponse({
+  uploadId: Joi.string().guid().required(),
+  ...uploadResultKeys,
+});
+
+const tokenKeys = {
+  token: Joi.string().required().description("Access token"),
+  refreshToken: Joi.string().required(),
+};
+
+const sessionUserSchema = Joi.object({
+  id: objectIdSchema,
+  username: Joi.string(),
+  email: Joi.string(),
+  isVerified: Joi.boolean(),
+});
+
+const tokenResponse = successResponse({
+  message: Joi.string().required(),
+  ...tokenKeys,
+  user: sessionUserSchema.required(),
+});
+
+// With two-factor authentication enabled, POST /auth/2fa/verify completes
+// the sign-in. Users who must enroll first get a setup token instead.
+const loginResponse = Joi.alternatives(
+  tokenResponse,
+  successResponse({
+    message: Joi.string().required(),
+    mfaRequired: Joi.boolean().valid(true).required(),
+    mfaToken: Joi.string().required(),
+    expiresIn: Joi.number().integer().required(),
+  }),
+  successResponse({
+    message: Joi.string().required(),
+    twoFactorSetupRequired: Joi.boolean().valid(true).required(),
+    setupToken: Joi.string().required(),
+    expiresIn: Joi.number().integer().required(),
+  })
+);
+
+const recoveryCodesResponse = successResponse({
+  message: Joi.string().required(),
+  recoveryCodes: Joi.array().items(Joi.string()).required(),
+});
+
+const profileSchema = Joi.object({
+  id: objectIdSchema,
+  name: Joi.string(),
+  username: Joi.string(),
+  email: Joi.string(),
+  pendingEmail: Joi.string(),
+  role: Joi.string().valid("user", "admin"),
+  isVerified: Joi.boolean(),
+  twoFactorEnabled: Joi.boolean(),
+  profileImage: imageSchema,
+  createdAt: dateSchema,
+  updatedAt: dateSchema,
+});
+
+const publicProfileSchema = Joi.object({
+  username: Joi.string(),
+  name: Joi.string(),
+  profileImage: Joi.object({
+    url: Joi.string(),
+    width: Joi.number(),
+    height: Joi.number(),
+    variants: Joi.array().items(
+      variantSchema.keys({ publicId: Joi.forbidden() })
+    ),
+  }).allow(null),
+  createdAt: dateSchema,
+});
+
+const adminUserSchema = Joi.object({
+  id: objectIdSchema,
+  name: Joi.string(),
+  username: Joi.string(),
+  email: Joi.string(),
+  role: Joi.string().valid("user", "admin"),
+  isVerified: Joi.boolean(),
+  isSuspended: Joi.boolean(),
+  isDeleted: Joi.boolean(),
+  twoFactorEnabled: Joi.boolean(),
+  profileImage: imageSchema,
+  createdAt: dateSchema,
+});
+
+const adminUserResponse = successResponse({
+  message: Joi.string().required(),
+  user: adminUserSchema.required(),
+});
+
+// Fields can be left out with ?fields on listings
+const postSchema = Joi.object({
+  id: objectIdSchema,
+  title: Joi.string(),
+  content: Joi.string(),
+  author: Joi.object({
+    _id: objectIdSchema,
+    name: Joi.string(),
+    username: Joi.string(),
+    profileImage: Joi.object({ url: Joi.string() }),
+  }).allow(null),
+  images: Joi.array().items(imageSchema),
+  thumbnail: imageSchema,
+  createdAt: dateSchema,
+  updatedAt: dateSchema,
+});
+
+const postResponse = successResponse({
+  message: Joi.string().required(),
+  post: postSchema.required(),
+});
+
+// Envelope of utils/listQuery.js
+const pageResponse = (item) =>
+  successResponse({
+    data: Joi.array().items(item).required(),
+    nextCursor: Joi.string().allow(null).required(),
+    hasMore: Joi.boolean().required(),
+  });
+
+export const operations = {
+  // Authentication
+  "POST /api/v1/auth/register": {
+    summary: "Register a new account",
+    description: "Sends a verification email and signs the new user in.",
+    responses: {
+      201: successResponse({
+        message: Joi.string().required(),
+        ...tokenKeys,
+        user: sessionUserSchema.required(),
+      }),
+    },
+    errors: [409],
+  },
+  "POST /api/v1/auth/login": {
+    summary: "Sign in with email and password",
+    description:
+      "Returns tokens, or an MFA token to complete with POST /api/v1/auth/2fa/verify when two-factor authentication is enabled. Repeated failures slow down the client (429) and lock the account (423).",
+    responses: { 200: loginResponse },
+    errors: [401, 403, 423, 429],
+  },
+  "POST /api/v1/auth/refresh": {
+    summary: "Exchange a refresh token for new tokens",
+    description: "Refresh tokens are single-use and rotated on every call.",
+    responses: {
+      200: successResponse({ message: Joi.string().required(), ...tokenKeys }),
+    },
+    errors: [401],
+  },
+  "POST /api/v1/auth/2fa/verify": {
+    summary: "Complete a sign-in with a two-factor code",
+    description: "Accepts a TOTP code or a recovery code.",
+    responses: { 200: tokenResponse },
+    errors: [401, 403],
+  },
+  "GET /api/v1/auth/2fa": {
+    summary: "Get the two-factor authentication status",
+    responses: {
+      200: successResponse({
+        enabled: Joi.boolean().required(),
+        enabledAt: dateSchema,
+        required: Joi.boolean().required(),
+        recoveryCodesRemaining: Joi.number().integer().required(),
+      }),
+    },
+  },
+  "POST /api/v1/auth/2fa/setup": {
+    summary: "Start two-factor enrollment",
+    responses: {
+      200: successResponse({
+        message: Joi.string().required(),
+        secret: Joi.string().required(),
+        otpauthUri: Joi.string().required(),
+      }),
+    },
+    errors: [409],
+  },
+  "POST /api/v1/auth/2fa/enable": {
+    summary: "Confirm two-factor enrollment",
+    description:
+      "Returns recovery codes, which are only shown once, and new tokens. Every other session is signed out.",
+    responses: {
+      200: successResponse({
+        message: Joi.string().required(),
+        recoveryCodes: Joi.array().items(Joi.string()).required(),
+        ...tokenKeys,
+      }),
+    },
+    errors: [409],
+  },
+  "POST /api/v1/auth/2fa/disable": {
+    summary: "Turn off two-factor authentication",
+    responses: { 200: messageResponse },
+    errors: [401, 403, 429],
+  },
+  "POST /api/v1/auth/2fa/recovery-codes": {
+    summary: "Replace the recovery codes",
+    responses: { 200: recoveryCodesResponse },
+    errors: [401, 429],
+  },
+  "GET /api/v1/auth/oauth/providers": {
+    summary: "List the configured sign-in providers",
+    responses: {
+      200: successResponse({
+        providers: Joi.array()
+          .items(Joi.object({ name: Joi.string(), url: Joi.string() }))
+          .required(),
+      }),
+    },
+  },
+  "GET /api/v1/auth/oauth/:provider": {
+    summary: "Start signing in with a provider",
+    description:
+      "With ?reauth=true the provider asks for the user's credentials again, so accounts without a password can confirm a sensitive change.",
+    responses: {
+      302: {
+        description: "Redirect to the provider's authorization endpoint",
+      },
+    },
+  },
+  "GET /api/v1/auth/oauth/:provider/callback": {
+    summary: "Complete signing in with a provider",
+    description:
+      "Links the provider account to an existing account with the same verified email, or creates one.",
+    responses: { 200: loginResponse },
+    errors: [403, 409, 502],
+  },
+  "GET /api/v1/auth/verify-email/:token": {
+    summary: "Verify an email address",
+    responses: { 200: messageResponse },
+    errors: [400, 409],
+  },
+  "POST /api/v1/auth/resend-verification": {
+    summary: "Send the verification email again",
+    responses: { 200: messageResponse },
+  },
+  "POST /api/v1/auth/forgot-password": {
+    summary: "Request a password reset email",
+    responses: { 200: messageResponse },
+  },
+  "POST /api/v1/auth/reset-password": {
+    summary: "Set a new password with a reset token",
+    description: "Signs the account out everywhere.",
+    responses: { 200: messageResponse },
+  },
+  "PUT /api/v1/auth/update-profile-image": {
+    summary: "Upload a profile image",
+    description:
+      "Takes a profileImage file or the uploadId of a completed upload of the profile preset.",
+    responses: { 200: uploadResultResponse },
+  },
+  "DELETE /api/v1/auth/profile-image": {
+    summary: "Delete the profile image",
+    responses: { 200: messageResponse },
+    errors: [404],
+  },
+  "POST /api/v1/auth/logout": {
+    summary: "Sign out of this session",
+    responses: { 200: messageResponse },
+  },
+  "POST /api/v1/auth/logout-all": {
+    summary: "Sign out of every session",
+    responses: { 200: messageResponse },
+  },
+
+  // Admin
+  "GET /api/v1/admin/users": {
+    summary: "List users",
+    responses: { 200: pageResponse(adminUserSchema) },
+  },
+  "GET /api/v1/admin/users/:id": {
+    summary: "Get a user",
+    responses: {
+      200: successResponse({ user: adminUserSchema.required() }),
+    },
+  },
+  "POST /api/v1/admin/users/:id/promote": {
+    summary: "Make a user an admin",
+    operationId: "promoteUser",
+    responses: { 200: adminUserResponse },
+  },
+  "POST /api/v1/admin/users/:id/demote": {
+    summary: "Make an admin a regular user",
+    operationId: "demoteUser",
+    responses: { 200: adminUserResponse },
+  },
+  "POST /api/v1/admin/users/:id/suspend": {
+    summary: "Suspend a user",
+    description: "Signs the user out everywhere.",
+    operationId: "suspendUser",
+    responses: { 200: adminUserResponse },
+  },
+  "POST /api/v1/admin/users/:id/unsuspend": {
+    summary: "Lift a suspension",
+    operationId: "unsuspendUser",
+    responses: { 200: adminUserResponse },
+  },
+  "POST /api/v1/admin/users/:id/unlock": {
+    summary: "Clear failed sign-in lockouts",
+    responses: { 200: adminUserResponse },
+  },
+
+  // Posts
+  "GET /api/v1/posts": {
+    summary: "List posts",
+    responses: { 200: pageResponse(postSchema) },
+  },
+  "GET /api/v1/posts/:id": {
+    summary: "Get a post",
+    responses: { 200: successResponse({ post: postSchema.required() }) },
+  },
+  "POST /api/v1/posts": {
+    summary: "Create a post",
+    description: "A thumbnail is generated from the first image.",
+    responses: { 201: postResponse },
+  },
+  "PUT /api/v1/posts/:id": {
+    summary: "Update a post",
+    description: "New images replace all of the old ones.",
+    responses: { 200: postResponse },
+  },
+  "DELETE /api/v1/posts/:id": {
+    summary: "Delete a post",
+    responses: { 200: messageResponse },
+  },
+
+  // Uploads
+  "POST /api/v1/uploads/sign": {
+    summary: "Get a signed target for a direct upload",
+    responses: {
+      201: successResponse({
+        uploadId: Joi.string().guid().required(),
+        upload: Joi.object({
+          method: Joi.string().required(),
+          url: Joi.string().required(),
+          fields: Joi.object(),
+          headers: Joi.object(),
+        }).required(),
+        expiresAt: dateSchema.required(),
+      }),
+    },
+  },
+  "POST /api/v1/uploads/:uploadId/complete": {
+    summary: "Process a direct upload",
+    responses: { 200: completedUploadResponse },
+    errors: [409],
+  },
+  "POST /api/v1/uploads/chunked": {
+    summary: "Start a resumable upload",
+    responses: {
+      201: successResponse({
+        uploadId: Joi.string().guid().required(),
+        chunkSize: Joi.number().integer().required(),
+        totalChunks: Joi.number().integer().required(),
+        expiresIn: Joi.number().integer().required(),
+      }),
+    },
+  },
+  "GET /api/v1/uploads/chunked/:uploadId": {
+    summary: "Get the chunks received so far",
+    responses: {
+      200: successResponse({
+        uploadId: Joi.string().guid().required(),
+        size: Joi.number().integer().required(),
+        chunkSize: Joi.number().integer().required(),
+        totalChunks: Joi.number().integer().required(),
+        received: Joi.array().items(Joi.number().integer()).required(),
+        missing: Joi.array().items(Joi.number().integer()).required(),
+      }),
+    },
+  },
+  "PUT /api/v1/uploads/chunked/:uploadId/chunks/:index": {
+    summary: "Upload one chunk",
+    description:
+      "Every chunk but the last must be exactly chunkSize bytes. Chunks can be sent in any order and retried.",
+    responses: {
+      200: successResponse({ index: Joi.number().integer().required() }),
+    },
+    errors: [409],
+  },
+  "POST /api/v1/uploads/chunked/:uploadId/complete": {
+    summary: "Assemble and process a resumable upload",
+    responses: { 200: completedUploadResponse },
+    errors: [409],
+  },
+  "DELETE /api/v1/uploads/chunked/:uploadId": {
+    summary: "Cancel a resumable upload",
+    responses: { 200: messageResponse },
+  },
+
+  // Users
+  "GET /api/v1/users/me": {
+    summary: "Get your profile",
+    responses: { 200: successResponse({ user: profileSchema.required() }) },
+  },
+  "PATCH /api/v1/users/me": {
+    summary: "Update your profile",
+    responses: {
+      200: successResponse({
+        message: Joi.string().required(),
+        user: profileSchema.required(),
+      }),
+    },
+    errors: [409],
+  },
+  "PUT /api/v1/users/me/password": {
+    summary: "Change your password",
+    description: "Signs out every other session and returns new tokens.",
+    responses: {
+      200: successResponse({ message: Joi.string().required(), ...tokenKeys }),
+    },
+  },
+  "PUT /api/v1/users/me/email": {
+    summary: "Change your email address",
+    description:
+      "The new address takes effect once it is verified. Needs currentPassword, or for accounts without a password a two-factor code or a sign-in from the last 5 minutes.",
+    responses: {
+      200: successResponse({
+        message: Joi.string().required(),
+        pendingEmail: Joi.string().required(),
+      }),
+    },
+    errors: [409],
+  },
+  "DELETE /api/v1/users/me": {
+    summary: "Delete your account",
+    description:
+      "Needs currentPassword, or for accounts without a password a two-factor code or a sign-in from the last 5 minutes.",
+    responses: { 200: messageResponse },
+    errors: [403],
+  },
+  "GET /api/v1/users/:username": {
+    summary: "Get a public profile",
+    responses: {
+      200: successResponse({ user: publicProfileSchema.required() }),
+    },
+  },
+};
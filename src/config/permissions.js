@@ -0,0 +1,23 @@
+// Permissions granted to each role in models/User.js
+export const rolePermissions = {
+  user: ["profile:read", "profile:update", "posts:create"],
+  admin: [
+    "profile:read",
+    "profile:update",
+    "posts:create",
+    "posts:manage", // Edit and delete any user's posts
+    "users:read",
+    "users:update-role",
+    "users:suspend",
+    "users:unlock",
+  ],
+};
+
+/**
+ * Check whether a role has been granted a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name (resource:action)
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) =>
+  (rolePermissions[role] || []).includes(permission);
@@ -1,10 +1,133 @@
 import { rateLimit } from "express-rate-limit";
+import jwt from "jsonwebtoken";
+import { AppError, RateLimitError } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { rateLimitRejections } from "../utils/metrics.js";
+import { documented } from "../utils/openapi.js";
+import { RedisRingStore } from "../utils/rateLimitStore.js";
 
-// By default, It will use the IP address of the request as the key for rate limiting.
-export const limiter = rateLimit({
+// Authenticated requests are limited per user, everything else per IP.
+// The token is only decoded here; authenticateToken still does the real check.
+const userOrIpKey = (req) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+  if (token) {
+    try {
+      const { userId } = jwt.verify(token, process.env.JWT_SECRET);
+      if (userId) return `user:${userId}`;
+    } catch (error) {
+      // Fall back to the IP for invalid or expired tokens
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+const ipKey = (req) => `ip:${req.ip}`;
+
+// Answers through the error handler like every other error. The limiter
+// has already set Retry-After.
+const rateLimitHandler = (name) => (req, res, next, options) => {
+  rateLimitRejections.inc({ limiter: name });
+  next(
+    new RateLimitError(options.message, {
+      retryAfter: Number(res.getHeader("Retry-After")) || undefined,
+    })
+  );
+};
+
+// Without its Redis shard, a limiter that fails closed answers 503 instead
+// of letting requests through unlimited. Its own 429s pass through as they are.
+const failClosed = (name, middleware) => (req, res, next) =>
+  middleware(req, res, (error) => {
+    if (!error || error instanceof AppError) return next(error);
+    logger.error(`Rate limiter ${name} is unavailable: ${error.message}`);
+    next(
+      new AppError("Please try again later", 503, {
+        code: "RATE_LIMIT_UNAVAILABLE",
+      })
+    );
+  });
+
+/**
+ * Create a rate limiter whose counters are shared by every app instance
+ * @param {Object} options - Policy configuration
+ * @param {string} options.name - Policy name, used as the Redis key prefix
+ *   and the rate_limit_rejections_total label
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {string} options.keyBy - "user" (user ID when authenticated, else IP) or "ip"
+ * @param {string} options.algorithm - "sliding" (default) or "fixed"
+ * @param {string} options.message - Response message when the limit is hit
+ * @param {boolean} options.failOpen - Let requests through when the Redis
+ *   shard is unreachable (default: true); false rejects them with a 503
+ * @returns {Function} Express middleware
+ */
+export const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keyBy = "user",
+  algorithm = "sliding",
+  message = "Too many requests, please try again later.",
+  failOpen = true,
+}) => {
+  const middleware = rateLimit({
+    windowMs,
+    max,
+    message,
+    handler: rateLimitHandler(name),
+    keyGenerator: keyBy === "ip" ? ipKey : userOrIpKey,
+    store: new RedisRingStore({ prefix: `rl:${name}:`, algorithm }),
+    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    passOnStoreError: failOpen,
+  });
+
+  return documented(failOpen ? middleware : failClosed(name, middleware), {
+    rateLimited: true,
+  });
+};
+
+export const limiter = createRateLimiter({
+  name: "global",
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
+  max: 100, // Limit each user/IP to 100 requests per windowMs
   message: "Too many requests from this IP, please try again later.",
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+});
+
+// Strict limits for unauthenticated auth endpoints
+export const loginLimiter = createRateLimiter({
+  name: "login",
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 login requests per windowMs
+  keyBy: "ip",
+  message: "Too many login attempts from this IP, please try again later.",
+  failOpen: false, // Brute-force protection matters most when Redis is degraded
+});
+
+export const registerLimiter = createRateLimiter({
+  name: "register",
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 registrations per windowMs
+  keyBy: "ip",
+  message: "Too many accounts created from this IP, please try again later.",
+  failOpen: false,
+});
+
+// Limits how often verification emails can be requested from one IP
+export const verificationLimiter = createRateLimiter({
+  name: "verification",
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 resend requests per windowMs
+  keyBy: "ip",
+  message: "Too many verification emails requested, please try again later.",
+});
+
+// Limits how often password reset emails can be requested from one IP
+export const passwordResetLimiter = createRateLimiter({
+  name: "password-reset",
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 reset requests per windowMs
+  keyBy: "ip",
+  message: "Too many password reset requests, please try again later.",
 });
@@ -0,0 +1,298 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { POST_LIMITS } from "../models/Post.js";
+import { USER_LIMITS } from "../models/User.js";
+import { chunkSizeLimits, directUploadConfigs } from "./multer.js";
+
+// Request schemas for validate() in middleware/validationMiddleware.js.
+// Length rules come from the models, so the API and the database agree.
+
+/** Joi schema for MongoDB ObjectIds, e.g. route params and list filters */
+export const objectIdSchema = Joi.string()
+  .custom((value, helpers) =>
+    mongoose.isValidObjectId(value) ? value : helpers.error("any.invalid")
+  )
+  .messages({ "any.invalid": "{#label} must be a valid ID" })
+  // Custom rules can't be described in OpenAPI
+  .meta({ pattern: "^[0-9a-fA-F]{24}$" });
+
+export const nameSchema = Joi.string()
+  .trim()
+  .min(USER_LIMITS.name.min)
+  .max(USER_LIMITS.name.max)
+  .messages({
+    "string.min": `Name must be at least ${USER_LIMITS.name.min} characters long`,
+    "string.max": `Name must not exceed ${USER_LIMITS.name.max} characters`,
+    "any.required": "Name is required",
+  });
+
+export const usernameSchema = Joi.string()
+  .alphanum()
+  .min(USER_LIMITS.username.min)
+  .max(USER_LIMITS.username.max)
+  .messages({
+    "string.alphanum": "Username must only contain alphanumeric characters",
+    "string.min": `Username must be at least ${USER_LIMITS.username.min} characters long`,
+    "string.max": `Username must not exceed ${USER_LIMITS.username.max} characters`,
+    "any.required": "Username is required",
+  });
+
+// Stored lowercased (see models/User.js), so lookups are too
+export const emailSchema = Joi.string().trim().lowercase().email().messages({
+  "string.email": "Please provide a valid email address",
+  "any.required": "Email is required",
+});
+
+export const passwordSchema = Joi.string()
+  .min(USER_LIMITS.password.min)
+  .pattern(new RegExp("^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%^&*])"))
+  .required()
+  .messages({
+    "string.min": `Password must be at least ${USER_LIMITS.password.min} characters long`,
+    "string.pattern.base":
+      "Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character",
+    "any.required": "Password is required",
+  });
+
+export const confirmPasswordSchema = Joi.string()
+  .valid(Joi.ref("password"))
+  .required()
+  .strip()
+  .messages({
+    "any.only": "Passwords do not match",
+    "any.required": "Password confirmation is required",
+  });
+
+const currentPasswordSchema = Joi.string().required().messages({
+  "any.required": "Current password is required",
+});
+
+// Either a six-digit TOTP code or a recovery code
+const twoFactorCodeSchema = Joi.string().trim().max(32).required().messages({
+  "any.required": "Code is required",
+});
+
+// Confirms a sensitive change. The controller decides which one the account
+// needs: its password, or without one a two-factor code or a recent sign-in.
+const reauthenticationKeys = {
+  currentPassword: Joi.string(),
+  code: twoFactorCodeSchema.optional(),
+};
+
+const titleSchema = Joi.string()
+  .trim()
+  .min(POST_LIMITS.title.min)
+  .max(POST_LIMITS.title.max)
+  .messages({
+    "string.empty": "Title cannot be empty",
+    "string.max": `Title cannot exceed ${POST_LIMITS.title.max} characters`,
+    "any.required": "Title is required",
+  });
+
+const contentSchema = Joi.string()
+  .trim()
+  .min(POST_LIMITS.content.min)
+  .max(POST_LIMITS.content.max)
+  .messages({
+    "string.empty": "Content cannot be empty",
+    "string.max": `Content cannot exceed ${POST_LIMITS.content.max} characters`,
+    "any.required": "Content is required",
+  });
+
+const uploadFields = {
+  preset: Joi.string()
+    .valid(...Object.keys(directUploadConfigs))
+    .required()
+    .messages({
+      "any.only": `Preset must be one of ${Object.keys(directUploadConfigs).join(", ")}`,
+      "any.required": "Preset is required",
+    }),
+  contentType: Joi.string().required().messages({
+    "any.required": "Content type is required",
+  }),
+  size: Joi.number().integer().min(1).required().messages({
+    "any.required": "File size is required",
+  }),
+};
+
+const uploadIdSchema = Joi.string().guid().messages({
+  "string.guid": "Invalid upload ID",
+});
+
+// IDs of completed direct or chunked uploads to use instead of files. A
+// multipart form sends one field per ID, which arrives as a plain string.
+const uploadIdsSchema = Joi.array()
+  .items(uploadIdSchema)
+  .single()
+  .unique()
+  .max(POST_LIMITS.images.max)
+  .messages({
+    "array.max": `No more than ${POST_LIMITS.images.max} uploads allowed`,
+    "array.unique": "Each upload can only be used once",
+  });
+
+const idParams = (label) => ({
+  id: objectIdSchema
+    .required()
+    .messages({ "any.invalid": `Invalid ${label} ID` }),
+});
+
+export const schemas = {
+  auth: {
+    register: {
+      body: {
+        name: nameSchema.required(),
+        username: usernameSchema.required(),
+        email: emailSchema.required(),
+        password: passwordSchema,
+        confirmPassword: confirmPasswordSchema,
+      },
+    },
+    login: {
+      body: {
+        email: emailSchema.required(),
+        password: Joi.string().required().messages({
+          "any.required": "Password is required",
+        }),
+      },
+    },
+    email: {
+      body: { email: emailSchema.required() },
+    },
+    resetPassword: {
+      body: {
+        token: Joi.string().pattern(/^[a-f0-9]{64}$/).required().messages({
+          "string.pattern.base": "Invalid reset token",
+          "any.required": "Reset token is required",
+        }),
+        password: passwordSchema,
+        confirmPassword: confirmPasswordSchema,
+      },
+    },
+    logout: {
+      body: { refreshToken: Joi.string() },
+    },
+    refresh: {
+      body: {
+        refreshToken: Joi.string().required().messages({
+          "any.required": "Refresh token is required",
+        }),
+      },
+    },
+    // A completed upload of the profile preset, instead of a file
+    profileImage: {
+      body: { uploadId: uploadIdSchema },
+    },
+    // Providers add their own parameters (iss, scope, session_state, ...),
+    // so unknown ones are kept
+    oauthCallback: {
+      query: Joi.object({
+        state: Joi.string().max(256).required().messages({
+          "any.required": "State is required",
+        }),
+        code: Joi.string().max(2048),
+        error: Joi.string().max(256),
+        error_description: Joi.string().max(1024),
+      })
+        .or("code", "error")
+        .messages({ "object.missing": "Code or error is required" })
+        .unknown(true),
+    },
+  },
+
+  twoFactor: {
+    code: {
+      body: { code: twoFactorCodeSchema },
+    },
+    verify: {
+      body: {
+        mfaToken: Joi.string().required().messages({
+          "any.required": "MFA token is required",
+        }),
+        code: twoFactorCodeSchema,
+      },
+    },
+  },
+
+  users: {
+    // Only profile fields; email, password and role have their own flows
+    updateProfile: {
+      body: Joi.object({
+        name: nameSchema,
+        username: usernameSchema,
+      })
+        .min(1)
+        .prefs({ stripUnknown: false })
+        .messages({
+          "object.min": "Provide at least one field to update",
+          "object.unknown": "{#label} cannot be changed here",
+        }),
+    },
+    changePassword: {
+      body: {
+        currentPassword: currentPasswordSchema,
+        password: passwordSchema.invalid(Joi.ref("currentPassword")).messages({
+          "any.invalid":
+            "New password must be different from the current password",
+        }),
+        confirmPassword: confirmPasswordSchema,
+      },
+    },
+    changeEmail: {
+      body: {
+        email: emailSchema.required(),
+        ...reauthenticationKeys,
+      },
+    },
+    deleteAccount: {
+      body: reauthenticationKeys,
+    },
+    username: {
+      params: { username: usernameSchema.required() },
+    },
+  },
+
+  posts: {
+    create: {
+      body: {
+        title: titleSchema.required(),
+        content: contentSchema.required(),
+        uploadIds: uploadIdsSchema,
+      },
+    },
+    // Every field is optional: new images alone replace the old ones
+    update: {
+      body: {
+        title: titleSchema,
+        content: contentSchema,
+        uploadIds: uploadIdsSchema,
+      },
+    },
+    id: { params: idParams("post") },
+  },
+
+  uploads: {
+    direct: {
+      body: uploadFields,
+    },
+    chunked: {
+      body: {
+        ...uploadFields,
+        chunkSize: Joi.number()
+          .integer()
+          .min(chunkSizeLimits.min)
+          .max(chunkSizeLimits.max)
+          .default(chunkSizeLimits.default),
+      },
+    },
+    id: {
+      params: {
+        uploadId: uploadIdSchema.required(),
+      },
+    },
+  },
+
+  admin: {
+    userId: { params: idParams("user") },
+  },
+};
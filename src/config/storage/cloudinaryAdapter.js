@@ -0,0 +1,32 @@
+import {
+  buildCloudinaryUrl,
+  deleteFromCloudinary,
+  deleteMultipleFromCloudinary,
+  downloadFromCloudinary,
+  getCloudinaryUploadParams,
+  getSignedCloudinaryUrl,
+  uploadToCloudinary,
+} from "../cloudinary.js";
+
+/**
+ * Storage adapter backed by Cloudinary
+ * @returns {import("./index.js").StorageAdapter}
+ */
+export const createCloudinaryAdapter = () => ({
+  name: "cloudinary",
+  // Cloudinary applies presets itself and renders variants from the URL
+  transformsImages: true,
+  variantUrl: (publicId, options) => buildCloudinaryUrl(publicId, options),
+  upload: (fileBuffer, options) => uploadToCloudinary(fileBuffer, options),
+  delete: (publicId) => deleteFromCloudinary(publicId),
+  deleteMany: (publicIds) => deleteMultipleFromCloudinary(publicIds),
+  getSignedUrl: async (publicId, options) =>
+    getSignedCloudinaryUrl(publicId, options),
+  // Cloudinary can't cap the file size, so it is checked when reading it back
+  createUploadTarget: async ({ folder, publicId }) => {
+    const id = folder ? `${folder}/${publicId}` : publicId;
+    const { url, fields } = getCloudinaryUploadParams({ publicId: id });
+    return { publicId: id, method: "POST", url, fields };
+  },
+  read: (publicId, options) => downloadFromCloudinary(publicId, options),
+});
@@ -0,0 +1,322 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import express from "express";
+import path from "path";
+import { AppError, ForbiddenError } from "../../utils/errorHandler.js";
+import { transformImage } from "../../utils/imageProcessor.js";
+import {
+  storageUploadDuration,
+  storageUploadErrors,
+} from "../../utils/metrics.js";
+import { createCloudinaryAdapter } from "./cloudinaryAdapter.js";
+import { createLocalAdapter } from "./localAdapter.js";
+import {
+  getImagePreset,
+  getImageVariant,
+  variantFormats,
+} from "./presets.js";
+import { createS3Adapter } from "./s3Adapter.js";
+dotenv.config();
+
+export { registerImagePreset, registerImageVariant } from "./presets.js";
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Adapter name
+ * @property {(fileBuffer: Buffer, options: Object) => Promise<Object>} upload
+ *   Store a file, resolving to { url, public_id, width, height, format, bytes }
+ * @property {(publicId: string) => Promise<Object>} delete - Delete one file
+ * @property {(publicIds: string[]) => Promise<Object>} deleteMany - Delete several files
+ * @property {(publicId: string, options: Object) => Promise<string>} getSignedUrl
+ *   Create a time-limited URL ({ expiresIn } in seconds)
+ * @property {(options: Object) => Promise<Object>} createUploadTarget
+ *   Sign an upload the client sends straight to storage ({ folder, publicId,
+ *   contentType, maxBytes, expiresIn }), resolving to { publicId, method,
+ *   url, fields?, headers? }
+ * @property {(publicId: string, options: Object) => Promise<Buffer>} read
+ *   Read a file back, rejecting files above { maxBytes } before reading them
+ * @property {boolean} [transformsImages] - Adapter applies presets itself
+ * @property {(publicId: string, options: Object) => string} [variantUrl]
+ *   URL of a transformed version (required when transformsImages is set)
+ */
+
+const LOCAL_URL_PATH = "/uploads";
+// Direct uploads land here until they are confirmed and processed
+const INCOMING_FOLDER = "incoming";
+
+const adapters = {
+  cloudinary: () => createCloudinaryAdapter(),
+  local: () =>
+    createLocalAdapter({
+      dir: process.env.STORAGE_LOCAL_DIR || "uploads",
+      baseUrl: process.env.BASE_URL || "http://localhost:3000",
+      urlPath: LOCAL_URL_PATH,
+      secret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    }),
+  s3: () =>
+    createS3Adapter({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl: process.env.S3_PUBLIC_URL,
+    }),
+};
+
+const driver = process.env.STORAGE_DRIVER || "cloudinary";
+if (!adapters[driver]) {
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+/** @type {StorageAdapter} */
+export const storage = adapters[driver]();
+
+// Every stored file, variants included, is timed for the upload metrics
+const adapterUpload = storage.upload.bind(storage);
+storage.upload = async (fileBuffer, options) => {
+  const endTimer = storageUploadDuration.startTimer({ driver: storage.name });
+  try {
+    return await adapterUpload(fileBuffer, options);
+  } catch (error) {
+    storageUploadErrors.inc({ driver: storage.name });
+    throw error;
+  } finally {
+    endTimer();
+  }
+};
+
+export const localUploadsPath = LOCAL_URL_PATH;
+
+const serveLocalStatic =
+  storage.name === "local"
+    ? express.static(storage.root, { index: false })
+    : null;
+
+const invalidSignature = () =>
+  new ForbiddenError("Invalid or expired signature", {
+    code: "INVALID_SIGNATURE",
+  });
+
+// Accepts a PUT signed by createUploadTarget, up to the signed size
+const receiveLocalUpload = (req, res, next) => {
+  const key = decodeURIComponent(req.path.replace(/^\//, ""));
+  if (!storage.verifyUploadSignature(key, req.query)) {
+    return next(invalidSignature());
+  }
+
+  express.raw({ type: () => true, limit: Number(req.query.maxBytes) })(
+    req,
+    res,
+    async (err) => {
+      if (err && err.type === "entity.too.large") {
+        return next(
+          new AppError("File too large", 413, { code: "LIMIT_FILE_SIZE" })
+        );
+      }
+      if (err) return next(err);
+      try {
+        await storage.write(key, req.body);
+        res.status(204).end();
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+};
+
+// Normalized the way express.static resolves the path, so "//incoming" or
+// "a/../incoming" can't reach the folder either. Malformed paths are left to
+// express.static, which rejects them.
+const isIncomingPath = (urlPath) => {
+  let key;
+  try {
+    key = path.posix.normalize(decodeURIComponent(urlPath)).replace(/^\/+/, "");
+  } catch {
+    return false;
+  }
+  return key === INCOMING_FOLDER || key.startsWith(`${INCOMING_FOLDER}/`);
+};
+
+/**
+ * Serve files written by the local adapter (mount at localUploadsPath).
+ * Stored files are public; direct uploads waiting in the incoming folder are
+ * never served, and PUT requests signed by createUploadTarget store the
+ * request body. Does nothing for other drivers.
+ */
+export const serveLocalUploads = (req, res, next) => {
+  if (!serveLocalStatic) return next();
+  if (req.method === "PUT") return receiveLocalUpload(req, res, next);
+
+  if (isIncomingPath(req.path)) return next();
+  serveLocalStatic(req, res, next);
+};
+
+const TRANSFORM_KEYS = ["width", "height", "crop", "quality", "format"];
+
+// Extra `transformation` settings, limited to what transformImage understands
+const pickTransform = (transformation = {}) =>
+  Object.fromEntries(
+    Object.entries(transformation).filter(([key]) => TRANSFORM_KEYS.includes(key))
+  );
+
+const variantFormatsFor = (format) => [
+  ...new Set([format === "jpeg" ? "jpg" : format, ...variantFormats]),
+];
+
+// Cloudinary renders variants on request, so only their URLs are built
+const buildDerivedVariants = (result, variantNames) =>
+  variantNames.flatMap((name) =>
+    variantFormatsFor(result.format).map((format) => ({
+      name,
+      format,
+      url: storage.variantUrl(result.public_id, {
+        ...getImageVariant(name),
+        format,
+      }),
+    }))
+  );
+
+// Other adapters store every variant as a file of its own
+const uploadVariants = async (fileBuffer, { folder, id, format, contentType, variantNames }) => {
+  const uploaded = [];
+  try {
+    for (const name of variantNames) {
+      for (const variantFormat of variantFormatsFor(format)) {
+        const image = await transformImage(fileBuffer, {
+          ...getImageVariant(name),
+          format: variantFormat === "jpg" ? "jpeg" : variantFormat,
+          contentType,
+        });
+        const result = await storage.upload(image.buffer, {
+          folder,
+          publicId: `${id}_${name}`,
+          contentType: image.contentType,
+        });
+        uploaded.push({
+          name,
+          format: variantFormat,
+          url: result.url,
+          publicId: result.public_id,
+          width: image.width,
+          height: image.height,
+        });
+      }
+    }
+    return uploaded;
+  } catch (error) {
+    await deleteFiles(uploaded.map((variant) => variant.publicId)).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Upload an image with a preset from presets.js: the preset's transformation
+ * is applied to the stored original and its named variants are generated
+ * @param {Buffer} fileBuffer - Image buffer from multer
+ * @param {string} presetName - Preset name (profile, post, thumbnail, ...)
+ * @param {Object} options - Upload options
+ * @param {string} options.publicId - Custom public ID
+ * @param {string} options.contentType - MIME type of the upload
+ * @returns {Promise<Object>} Upload result with url, public_id, width, height,
+ *   format, bytes and variants ([{ name, format, url, publicId }])
+ */
+export const uploadImage = async (fileBuffer, presetName, options = {}) => {
+  const { variants: variantNames = [], ...preset } = getImagePreset(presetName);
+  const { publicId, contentType } = options;
+
+  if (storage.transformsImages) {
+    const result = await storage.upload(fileBuffer, {
+      ...preset,
+      publicId,
+      contentType,
+    });
+    return { ...result, variants: buildDerivedVariants(result, variantNames) };
+  }
+
+  const original = await transformImage(fileBuffer, {
+    ...preset,
+    ...pickTransform(preset.transformation),
+    contentType,
+  });
+  const id = publicId || crypto.randomUUID();
+  const result = await storage.upload(original.buffer, {
+    folder: preset.folder,
+    publicId: id,
+    contentType: original.contentType,
+  });
+
+  try {
+    const variants = await uploadVariants(fileBuffer, {
+      folder: preset.folder,
+      id,
+      format: original.format,
+      contentType,
+      variantNames,
+    });
+    return {
+      ...result,
+      width: original.width,
+      height: original.height,
+      variants,
+    };
+  } catch (error) {
+    await deleteFile(result.public_id).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Delete an uploaded image together with its stored variants
+ * @param {Object} image - Stored image ({ publicId, variants })
+ * @returns {Promise<Object>} Delete result
+ */
+export const deleteImage = (image) => {
+  const publicIds = [
+    image.publicId,
+    ...(image.variants || []).map((variant) => variant.publicId),
+  ].filter(Boolean);
+  return publicIds.length === 1 ? deleteFile(publicIds[0]) : deleteFiles(publicIds);
+};
+
+// Predefined upload configurations for common use cases
+export const uploadProfileImage = (fileBuffer, publicId, contentType) =>
+  uploadImage(fileBuffer, "profile", { publicId, contentType });
+
+export const uploadPostImage = (fileBuffer, contentType) =>
+  uploadImage(fileBuffer, "post", { contentType });
+
+export const uploadThumbnail = (fileBuffer, contentType) =>
+  uploadImage(fileBuffer, "thumbnail", { contentType });
+
+export const deleteFile = (publicId) => storage.delete(publicId);
+
+export const deleteFiles = (publicIds) => storage.deleteMany(publicIds);
+
+export const getSignedUrl = (publicId, options) =>
+  storage.getSignedUrl(publicId, options);
+
+/**
+ * Sign an upload the client sends straight to storage. The file lands in the
+ * incoming folder until it is read back and processed.
+ * @param {Object} options - Upload options
+ * @param {string} options.publicId - ID of the upload
+ * @param {string} options.contentType - MIME type the client will send
+ * @param {number} options.maxBytes - Size cap (enforced by the local and s3
+ *   drivers, checked on completion by cloudinary)
+ * @param {number} options.expiresIn - Lifetime in seconds
+ * @returns {Promise<Object>} { publicId, method, url, fields?, headers? }
+ */
+export const createUploadTarget = (options) =>
+  storage.createUploadTarget({ folder: INCOMING_FOLDER, ...options });
+
+/**
+ * Read a stored file back
+ * @param {string} publicId - Public ID of the file
+ * @param {Object} options - Read options
+ * @param {number} options.maxBytes - Reject larger files with a 413 before
+ *   reading them
+ * @returns {Promise<Buffer>} File contents
+ */
+export const readFile = (publicId, options) => storage.read(publicId, options);
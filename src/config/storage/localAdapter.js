@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { AppError } from "../../utils/errorHandler.js";
+import { buildObjectKey, formatFromKey } from "./objectKey.js";
+
+const sign = (secret, key, expires) =>
+  crypto.createHmac("sha256", secret).update(`${key}:${expires}`).digest("hex");
+
+/**
+ * Storage adapter that writes files to the local filesystem. Files are served
+ * publicly by serveLocalUploads under `urlPath`.
+ * @param {Object} options - Adapter configuration
+ * @param {string} options.dir - Directory files are written to
+ * @param {string} options.baseUrl - Public base URL of the app
+ * @param {string} options.urlPath - Path the files are served under
+ * @param {string} options.secret - Secret used to sign upload URLs
+ * @returns {import("./index.js").StorageAdapter}
+ */
+export const createLocalAdapter = ({ dir, baseUrl, urlPath, secret }) => {
+  const root = path.resolve(dir);
+
+  // Keys come from our own uploads, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const urlFor = (key) => `${baseUrl}${urlPath}/${key}`;
+
+  // Upload signatures also cover the size cap, so it can't be raised
+  const uploadSignatureKey = (key, maxBytes) => `put:${key}:${maxBytes}`;
+
+  return {
+    name: "local",
+    async upload(fileBuffer, options = {}) {
+      const key = buildObjectKey(options);
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, fileBuffer);
+      return {
+        url: urlFor(key),
+        public_id: key,
+        format: formatFromKey(key),
+        bytes: fileBuffer.length,
+      };
+    },
+    /**
+     * Write a file under an existing key (used for signed direct uploads)
+     * @param {string} key - Object key
+     * @param {Buffer} fileBuffer - File contents
+     * @returns {Promise<void>}
+     */
+    async write(key, fileBuffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, fileBuffer);
+    },
+    async read(key, { maxBytes } = {}) {
+      const filePath = resolveKey(key);
+      if (maxBytes && (await fs.stat(filePath)).size > maxBytes) {
+        throw new AppError("File too large", 413, { code: "LIMIT_FILE_SIZE" });
+      }
+      return fs.readFile(filePath);
+    },
+    async delete(key) {
+      await fs.rm(resolveKey(key), { force: true });
+      return { result: "ok" };
+    },
+    async deleteMany(keys) {
+      await Promise.all(keys.map((key) => fs.rm(resolveKey(key), { force: true })));
+      return { deleted: keys };
+    },
+    // Stored files are public, so there is no access to limit in time
+    async getSignedUrl(key) {
+      return urlFor(key);
+    },
+    async createUploadTarget({ expiresIn = 900, maxBytes, ...options }) {
+      const key = buildObjectKey(options);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = sign(secret, uploadSignatureKey(key, maxBytes), expires);
+      return {
+        publicId: key,
+        method: "PUT",
+        url: `${urlFor(key)}?expires=${expires}&maxBytes=${maxBytes}&signature=${signature}`,
+        headers: { "Content-Type": options.contentType },
+      };
+    },
+    /**
+     * Check an HMAC signature of `key` that expires at `expires`
+     * @param {string} key - Signed value
+     * @param {string} expires - Expiry (epoch seconds) from the query string
+     * @param {string} signature - Signature from the query string
+     * @returns {boolean}
+     */
+    verifySignature(key, expires, signature) {
+      if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+        return false;
+      }
+      const expected = Buffer.from(sign(secret, key, expires));
+      const actual = Buffer.from(String(signature));
+      return (
+        expected.length === actual.length &&
+        crypto.timingSafeEqual(expected, actual)
+      );
+    },
+    /**
+     * Check a signature produced by createUploadTarget
+     * @param {string} key - Object key
+     * @param {Object} query - expires, maxBytes and signature from the query string
+     * @returns {boolean}
+     */
+    verifyUploadSignature(key, { expires, maxBytes, signature }) {
+      return this.verifySignature(
+        uploadSignatureKey(key, maxBytes),
+        expires,
+        signature
+      );
+    },
+    root,
+  };
+};
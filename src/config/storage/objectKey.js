@@ -0,0 +1,26 @@
+import crypto from "crypto";
+
+const extensions = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/gif": "gif",
+};
+
+/**
+ * Build the object key for adapters that store plain files
+ * @param {Object} options - Upload options
+ * @param {string} options.folder - Folder prefix
+ * @param {string} options.publicId - Custom ID (random UUID if omitted)
+ * @param {string} options.contentType - MIME type, used for the file extension
+ * @returns {string} Key such as "profiles/user_123.png"
+ */
+export const buildObjectKey = ({ folder, publicId, contentType }) => {
+  const id = publicId || crypto.randomUUID();
+  const extension = extensions[contentType] || "bin";
+  return folder ? `${folder}/${id}.${extension}` : `${id}.${extension}`;
+};
+
+export const formatFromKey = (key) => key.split(".").pop();
@@ -0,0 +1,72 @@
+// Named sizes generated for every image upload. Each one is produced in the
+// upload's own format plus every entry of `variantFormats`.
+const imageVariants = {
+  thumb: { width: 150, height: 150, crop: "fill", quality: "auto" },
+  medium: { width: 600, height: 600, crop: "limit", quality: "auto" },
+  large: { width: 1200, height: 1200, crop: "limit", quality: "auto" },
+};
+
+export const variantFormats = ["webp", "avif"];
+
+// Upload presets: `width`, `height`, `crop`, `quality` and `transformation`
+// are applied to the stored original, `variants` lists the sizes to generate.
+const imagePresets = {
+  profile: {
+    folder: "profiles",
+    width: 500,
+    height: 500,
+    crop: "fill",
+    quality: "auto",
+    variants: ["thumb", "medium"],
+  },
+  post: {
+    folder: "posts",
+    width: 1200,
+    height: 800,
+    crop: "limit",
+    quality: "auto",
+    variants: ["thumb", "medium", "large"],
+  },
+  thumbnail: {
+    folder: "thumbnails",
+    width: 300,
+    height: 200,
+    crop: "fill",
+    quality: "good",
+    variants: ["thumb"],
+  },
+};
+
+/**
+ * Add or replace an upload preset
+ * @param {string} name - Preset name
+ * @param {Object} preset - Folder, transformation and variant settings
+ */
+export const registerImagePreset = (name, preset) => {
+  imagePresets[name] = preset;
+};
+
+/**
+ * Add or replace a named variant size
+ * @param {string} name - Variant name
+ * @param {Object} variant - width, height, crop and quality
+ */
+export const registerImageVariant = (name, variant) => {
+  imageVariants[name] = variant;
+};
+
+export const getImagePreset = (name) => {
+  const preset = imagePresets[name];
+  if (!preset) {
+    throw new Error(`Unknown image preset: ${name}`);
+  }
+  return preset;
+};
+
+export const getImageVariant = (name) => {
+  const variant = imageVariants[name];
+  if (!variant) {
+    throw new Error(`Unknown image variant: ${name}`);
+  }
+  return variant;
+};
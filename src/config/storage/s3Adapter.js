@@ -0,0 +1,131 @@
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { AppError } from "../../utils/errorHandler.js";
+import { buildObjectKey, formatFromKey } from "./objectKey.js";
+
+/**
+ * Storage adapter for S3 and S3-compatible services such as MinIO
+ * @param {Object} options - Adapter configuration
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Region (any value works for MinIO)
+ * @param {string} options.endpoint - Custom endpoint, e.g. http://localhost:9000
+ * @param {boolean} options.forcePathStyle - Use path-style URLs (required by MinIO)
+ * @param {string} options.accessKeyId - Access key
+ * @param {string} options.secretAccessKey - Secret key
+ * @param {string} options.publicUrl - Base URL objects are publicly served from
+ * @returns {import("./index.js").StorageAdapter}
+ */
+export const createS3Adapter = ({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+}) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Otherwise presigned PUTs carry the checksum of an empty body, which
+    // S3 rejects once the client sends the actual file
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  const baseUrl =
+    publicUrl ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    name: "s3",
+    client,
+    bucket,
+    async upload(fileBuffer, options = {}) {
+      const key = buildObjectKey(options);
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: fileBuffer,
+          ContentType: options.contentType,
+        })
+      );
+      return {
+        url: `${baseUrl}/${key}`,
+        public_id: key,
+        format: formatFromKey(key),
+        bytes: fileBuffer.length,
+      };
+    },
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return { result: "ok" };
+    },
+    async deleteMany(keys) {
+      if (keys.length === 0) return { deleted: [] };
+      const result = await client.send(
+        new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: keys.map((Key) => ({ Key })), Quiet: true },
+        })
+      );
+      return { deleted: keys, errors: result.Errors || [] };
+    },
+    // The size is checked before any bytes are fetched, and the object must
+    // still be the one that was checked when it is read
+    async read(key, { maxBytes } = {}) {
+      const head = await client.send(
+        new HeadObjectCommand({ Bucket: bucket, Key: key })
+      );
+      if (maxBytes && head.ContentLength > maxBytes) {
+        throw new AppError("File too large", 413, { code: "LIMIT_FILE_SIZE" });
+      }
+      const result = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key, IfMatch: head.ETag })
+      );
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+    // The signature covers Content-Length, so S3 only accepts a body of
+    // exactly maxBytes
+    async createUploadTarget({ expiresIn = 900, maxBytes, ...options }) {
+      const key = buildObjectKey(options);
+      const url = await getSignedUrl(
+        client,
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ContentType: options.contentType,
+          ContentLength: maxBytes,
+        }),
+        { expiresIn }
+      );
+      return {
+        publicId: key,
+        method: "PUT",
+        url,
+        headers: { "Content-Type": options.contentType },
+      };
+    },
+    getSignedUrl(key, { expiresIn = 3600 } = {}) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn }
+      );
+    },
+  };
+};
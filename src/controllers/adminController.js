@@ -0,0 +1,130 @@
+import User from "../models/User.js";
+import { userListQuery } from "../middleware/adminMiddleware.js";
+import { AppError, NotFoundError } from "../utils/errorHandler.js";
+import { loginThrottle } from "../utils/loginThrottle.js";
+import { logger } from "../utils/logger.js";
+import { revokeAllUserTokens } from "../utils/tokenService.js";
+
+const toAdminView = (user) => ({
+  id: user._id,
+  name: user.name,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isVerified: user.isVerified,
+  isSuspended: user.isSuspended,
+  isDeleted: user.isDeleted,
+  twoFactorEnabled: user.twoFactor && user.twoFactor.enabled,
+  profileImage: user.profileImage,
+  createdAt: user.createdAt,
+});
+
+export const listUsers = async (req, res, next) => {
+  try {
+    const page = await userListQuery.find(req.listQuery);
+
+    res.status(200).json({
+      success: true,
+      ...page,
+      data: page.data.map(toAdminView),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    res.status(200).json({ success: true, user: toAdminView(user) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admins may not demote or suspend themselves, so the last admin can't lock
+// everyone out by accident.
+const updateUser = (update, { message, allowSelf = true, revokeTokens = false }) => {
+  return async (req, res, next) => {
+    try {
+      if (!allowSelf && req.params.id === String(req.user.userId)) {
+        throw new AppError(
+          "You cannot perform this action on your own account",
+          400,
+          { code: "SELF_ACTION_FORBIDDEN" }
+        );
+      }
+
+      const user = await User.findByIdAndUpdate(req.params.id, update(), {
+        new: true,
+      });
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+
+      if (revokeTokens) {
+        await revokeAllUserTokens(user._id);
+      }
+
+      logger.info(`Admin ${req.user.userId}: ${message} (${user._id})`);
+
+      res.status(200).json({
+        success: true,
+        message,
+        user: toAdminView(user),
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export const promoteUser = updateUser(() => ({ role: "admin" }), {
+  message: "User promoted to admin",
+});
+
+export const demoteUser = updateUser(() => ({ role: "user" }), {
+  message: "User demoted to user",
+  allowSelf: false,
+});
+
+export const suspendUser = updateUser(
+  () => ({ isSuspended: true, suspendedAt: new Date() }),
+  {
+    message: "User suspended",
+    allowSelf: false,
+    revokeTokens: true,
+  }
+);
+
+export const unsuspendUser = updateUser(
+  () => ({ isSuspended: false, $unset: { suspendedAt: 1 } }),
+  {
+    message: "User unsuspended",
+  }
+);
+
+export const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    await loginThrottle.reset(user.email);
+
+    logger.info(`Admin ${req.user.userId}: User unlocked (${user._id})`);
+
+    res.status(200).json({
+      success: true,
+      message: "User unlocked",
+      user: toAdminView(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,10 +1,55 @@
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import User from "../models/User.js";
-import { uploadProfileImage } from "../config/cloudinary.js";
+import {
+  getOAuthProvider,
+  getOAuthProviderNames,
+} from "../config/oauth.js";
+import { deleteImage, uploadProfileImage } from "../config/storage/index.js";
+import { invalidateCacheTags } from "../middleware/cacheMiddleware.js";
+import {
+  sendPasswordResetEmail,
+  startEmailVerification,
+} from "../utils/emails.js";
+import {
+  AppError,
+  AuthenticationError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+} from "../utils/errorHandler.js";
+import { claimUploads, releaseUploads } from "../utils/completedUploads.js";
+import { loginThrottle } from "../utils/loginThrottle.js";
 import { logger } from "../utils/logger.js";
+import { loginAttempts } from "../utils/metrics.js";
+import {
+  consumeAuthorizationState,
+  createAuthorizationRequest,
+  exchangeAuthorizationCode,
+} from "../utils/oidc.js";
+import {
+  generateOneTimeToken,
+  hashToken,
+  issueTokens,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  rotateRefreshToken,
+  signAccessToken,
+} from "../utils/tokenService.js";
+import {
+  completeMfaChallenge,
+  createMfaChallenge,
+  isTwoFactorRequired,
+  signEnrollmentToken,
+} from "../utils/twoFactor.js";
 
-export const register = async (req, res) => {
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+export const register = async (req, res, next) => {
   try {
     const { name, username, email, password } = req.body;
 
@@ -13,10 +58,7 @@ export const register = async (req, res) => {
     });
 
     if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: "User already exists",
-      });
+      throw new ConflictError("User already exists", { code: "USER_EXISTS" });
     }
 
     const saltRounds = 10;
@@ -30,108 +72,684 @@ export const register = async (req, res) => {
     });
 
     const savedUser = await newUser.save();
+    await startEmailVerification(savedUser);
 
-    const token = jwt.sign(
-      { userId: savedUser._id, email: savedUser.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    const { accessToken, refreshToken } = await issueTokens(savedUser);
 
     res.status(201).json({
       success: true,
       message: "User registered successfully",
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: savedUser._id,
         username: savedUser.username,
         email: savedUser.email,
+        isVerified: savedUser.isVerified,
       },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error registering user",
-      error: error.message,
-    });
+    next(error);
+  }
+};
+
+// Unknown, deleted and password-less accounts all fail the same way
+const invalidCredentials = () =>
+  new AuthenticationError("Invalid credentials", {
+    code: "INVALID_CREDENTIALS",
+  });
+
+// The same answer whether an attempt was refused up front or was the one
+// that tripped the lockout or backoff
+const loginThrottled = (locked, retryAfter) =>
+  new RateLimitError(
+    locked
+      ? "Account temporarily locked due to too many failed login attempts"
+      : "Too many failed login attempts, please try again later",
+    {
+      statusCode: locked ? 423 : 429,
+      code: locked ? "ACCOUNT_LOCKED" : "TOO_MANY_LOGIN_ATTEMPTS",
+      retryAfter,
+    }
+  );
+
+const accountSuspended = () =>
+  new ForbiddenError("Account suspended", { code: "ACCOUNT_SUSPENDED" });
+
+// Every sign-in method ends with the same tokens and user summary
+const sendTokenResponse = async (res, user, options) => {
+  const { accessToken, refreshToken } = await issueTokens(user, options);
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      isVerified: user.isVerified,
+    },
+  });
+};
+
+// Users who must use two-factor authentication but haven't enrolled get a
+// token that only opens the enrollment routes, never a session
+const sendEnrollmentResponse = (res, user) => {
+  const { token, expiresIn } = signEnrollmentToken(user);
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication must be enabled before signing in",
+    twoFactorSetupRequired: true,
+    setupToken: token,
+    expiresIn,
+  });
+};
+
+// With two-factor authentication enabled, the tokens are only issued by
+// verifyTwoFactorLogin once a code has been entered
+const sendLoginResponse = async (res, user, options) => {
+  if (!user.twoFactor.enabled) {
+    return isTwoFactorRequired(user)
+      ? sendEnrollmentResponse(res, user)
+      : sendTokenResponse(res, user, options);
   }
+
+  const { token, expiresIn } = await createMfaChallenge(user);
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication required",
+    mfaRequired: true,
+    mfaToken: token,
+    expiresIn,
+  });
 };
 
-export const login = async (req, res) => {
+export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
-    logger.info(`Login attempt for email: ${email}`);
+    logger.info("Login attempt", { email });
+
+    const throttle = await loginThrottle.check(email, req.ip);
+    if (!throttle.allowed) {
+      throw loginThrottled(throttle.status === 423, throttle.retryAfter);
+    }
+
     const user = await User.findOne({ email }).select("+password");
-    logger.info(`User found: ${user ? user.username : "No user found"}`);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
+
+    // Deleted accounts, and accounts that only sign in through an OAuth
+    // provider, fail like a wrong password
+    const isPasswordValid =
+      user !== null &&
+      !user.isDeleted &&
+      Boolean(user.password) &&
+      (await bcrypt.compare(password, user.password));
+
+    if (!isPasswordValid) {
+      // Unknown emails are counted too, so lockouts don't reveal which accounts exist
+      const failure = await loginThrottle.recordFailure(email, req.ip);
+      if (failure.locked) {
+        logger.warn("Account locked after repeated failed logins", { email });
+      }
+      if (failure.retryAfter) {
+        throw loginThrottled(failure.locked, failure.retryAfter);
+      }
+      throw invalidCredentials();
+    }
+
+    if (user.isSuspended) {
+      throw accountSuspended();
+    }
+
+    // Only a login that goes through clears the failures
+    await loginThrottle.reset(email);
+
+    await sendLoginResponse(res, user);
+    loginAttempts.inc({ method: "password", result: "success" });
+  } catch (error) {
+    loginAttempts.inc({ method: "password", result: "failure" });
+    next(error);
+  }
+};
+
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const user = req.twoFactorUser;
+    if (!(await completeMfaChallenge(req.mfaChallenge.jti))) {
+      throw new AuthenticationError("Invalid or expired sign-in token", {
+        code: "INVALID_MFA_TOKEN",
       });
     }
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // The account may have changed since the password was checked
+    if (user.isDeleted) throw invalidCredentials();
+    if (user.isSuspended) {
+      throw accountSuspended();
+    }
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
+    if (req.twoFactorMethod === "recovery") {
+      logger.warn(`User ${user._id} signed in with a recovery code`);
+    }
+
+    await sendTokenResponse(res, user);
+    loginAttempts.inc({ method: "two_factor", result: "success" });
+  } catch (error) {
+    loginAttempts.inc({ method: "two_factor", result: "failure" });
+    next(error);
+  }
+};
+
+export const refresh = async (req, res, next) => {
+  try {
+    const { userId, familyId, authTime, refreshToken } =
+      await rotateRefreshToken(req.body.refreshToken);
+
+    const user = await User.findById(userId);
+    if (!user || user.isSuspended || user.isDeleted) {
+      await revokeTokenFamily(familyId);
+      throw new AuthenticationError("Invalid or expired refresh token", {
+        code: "INVALID_REFRESH_TOKEN",
+      });
+    }
+    // Sessions from before 2FA became mandatory end here; logging in again
+    // leads to enrollment
+    if (isTwoFactorRequired(user) && !user.twoFactor.enabled) {
+      await revokeTokenFamily(familyId);
+      throw new ForbiddenError(
+        "Two-factor authentication must be enabled for this account",
+        { code: "TWO_FACTOR_REQUIRED" }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed successfully",
+      token: signAccessToken(user, authTime),
+      refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const verifyEmail = async (req, res, next) => {
+  try {
+    // A pending email change becomes the account's email once verified
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      [
+        {
+          $set: {
+            email: { $ifNull: ["$pendingEmail", "$email"] },
+            isVerified: true,
+          },
+        },
+        {
+          $unset: [
+            "pendingEmail",
+            "emailVerificationToken",
+            "emailVerificationExpires",
+          ],
+        },
+      ],
+      { new: true }
+    );
+
+    if (!user) {
+      throw new ValidationError("Invalid or expired verification token", {
+        code: "INVALID_VERIFICATION_TOKEN",
       });
     }
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
+    await invalidateCacheTags(`user:${user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    // Another account took the new address while the change was pending
+    next(
+      error.code === 11000
+        ? new ConflictError("Email address is already in use", {
+            code: "EMAIL_TAKEN",
+          })
+        : error
     );
+  }
+};
+
+export const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists or is verified
+    const awaitingVerification =
+      user && (!user.isVerified || user.pendingEmail);
+    if (awaitingVerification && !user.isSuspended && !user.isDeleted) {
+      await startEmailVerification(user);
+    }
 
     res.status(200).json({
       success: true,
-      message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
+      message:
+        "If the account exists and is not yet verified, a verification email has been sent",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const issuePasswordReset = async (user) => {
+  const { token, hash } = generateOneTimeToken();
+  user.passwordResetToken = hash;
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  await user.save();
+  await sendPasswordResetEmail(user, token);
+};
+
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Neither the save nor the email is awaited, so response time doesn't
+    // reveal whether the account exists
+    if (user && !user.isSuspended && !user.isDeleted) {
+      issuePasswordReset(user).catch((error) => {
+        logger.error(`Failed to issue password reset for user ${user._id}: ${error.message}`);
+      });
+    }
+
+    // Same response whether or not the account exists
+    res.status(200).json({
+      success: true,
+      message:
+        "If an account with that email exists, a password reset link has been sent",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Consuming the token and setting the password in one update keeps it single-use
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
       },
+      {
+        password: hashedPassword,
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1 },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new ValidationError("Invalid or expired reset token", {
+        code: "INVALID_RESET_TOKEN",
+      });
+    }
+
+    await revokeAllUserTokens(user._id);
+    await loginThrottle.reset(user.email);
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully, please log in again",
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error logging in",
-      error: error.message,
+    next(error);
+  }
+};
+
+// The new profile image comes as a multipart file or as the ID of a
+// completed upload of the profile preset, which is claimed. Undoing deletes
+// the file, or gives the upload back.
+const prepareProfileImage = async (req) => {
+  const userId = req.user.userId;
+  const { uploadId } = req.body;
+  if (req.file && uploadId) {
+    throw new ValidationError("Validation failed", {
+      errors: ["Send either a file or an uploadId, not both"],
+    });
+  }
+
+  if (uploadId) {
+    const [upload] = await claimUploads([uploadId], {
+      owner: userId,
+      preset: "profile",
+    });
+    return {
+      image: upload.image.toObject(),
+      undo: () => releaseUploads([upload]),
+    };
+  }
+
+  if (!req.file) {
+    throw new ValidationError("Validation failed", {
+      errors: ["File or uploadId is required"],
     });
   }
+  // A unique public ID per upload, so the previous image stays intact
+  // until the new one is saved and can be restored if the save fails
+  const result = await uploadProfileImage(
+    req.file.buffer,
+    `user_${userId}_${Date.now()}`,
+    req.file.mimetype
+  );
+  const image = {
+    url: result.url,
+    publicId: result.public_id,
+    width: result.width,
+    height: result.height,
+    variants: result.variants,
+  };
+  return { image, undo: () => deleteImage(image) };
 };
 
-export const uploadProfileImageHandler = async (req, res) => {
+export const uploadProfileImageHandler = async (req, res, next) => {
   try {
     const userId = req.user.userId;
-    const publicId = `user_${userId}`;
+    const { image, undo } = await prepareProfileImage(req);
 
-    // Upload new image (replaces old one if exists)
-    const result = await uploadProfileImage(req.file.buffer, publicId);
+    let previousImage;
+    try {
+      const user = await User.findByIdAndUpdate(userId, {
+        profileImage: image,
+      });
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+      previousImage = user.profileImage;
+    } catch (error) {
+      // Roll back the upload so no orphaned asset is left behind
+      await undo().catch((rollbackError) => {
+        logger.error(`Failed to roll back upload ${image.publicId}: ${rollbackError.message}`);
+      });
+      throw error;
+    }
 
-    // Update database with new image URL
+    if (previousImage && previousImage.publicId) {
+      await deleteImage(previousImage).catch((error) => {
+        logger.warn(`Failed to delete old profile image ${previousImage.publicId}: ${error.message}`);
+      });
+    }
+
+    // Purge cached responses that include this user's profile
+    await invalidateCacheTags(`user:${userId}`);
 
-    res.json({ success: true, imageUrl: result.url, publicId: result.public_id });
+    res.json({
+      success: true,
+      imageUrl: image.url,
+      publicId: image.publicId,
+      width: image.width,
+      height: image.height,
+      variants: image.variants,
+    });
   } catch (error) {
-    res.status(500).json({ error: "Failed to upload image" });
+    next(error);
   }
 };
 
-export const logout = async (req, res) => {
+export const deleteProfileImageHandler = async (req, res, next) => {
   try {
-    // In a real application, you might want to implement token blacklisting
-    // For now, we'll just send a success response
+    const userId = req.user.userId;
+    const user = await User.findById(userId);
+
+    if (!user || !user.profileImage || !user.profileImage.publicId) {
+      throw new NotFoundError("No profile image to delete");
+    }
+
+    // Unlink first: a file left behind is only wasted storage, but a user
+    // pointing at a deleted file shows a broken image
+    const image = user.toObject().profileImage;
+    user.profileImage = undefined;
+    await user.save();
+
+    await invalidateCacheTags(`user:${userId}`);
+
+    await deleteImage(image).catch((error) => {
+      logger.warn(`Failed to delete profile image ${image.publicId}: ${error.message}`);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Profile image deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const logout = async (req, res, next) => {
+  try {
+    await revokeAccessToken(req.user);
+
+    // Also end the refresh token family of this session, if the client sent it
+    if (req.body && req.body.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken, req.user.userId);
+    }
+
     res.status(200).json({
       success: true,
       message: "Logged out successfully",
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error logging out",
-      error: error.message,
+    next(error);
+  }
+};
+
+export const logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllUserTokens(req.user.userId);
+    await revokeAccessToken(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all devices successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const OAUTH_STATE_COOKIE = "oauth_state";
+const OAUTH_COOKIE_PATH = "/api/v1/auth/oauth";
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim().split("="))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join("=")) : null;
+};
+
+const safeEqual = (a, b) =>
+  typeof a === "string" &&
+  typeof b === "string" &&
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const oauthProviderNotFound = () =>
+  new NotFoundError("Unknown sign-in provider", {
+    code: "OAUTH_PROVIDER_NOT_FOUND",
+  });
+
+// Usernames must be alphanumeric and 3-30 characters, like at registration
+const generateUsername = async ({ preferredUsername, email }) => {
+  let base = String(preferredUsername || email.split("@")[0])
+    .replace(/[^a-zA-Z0-9]/g, "")
+    .slice(0, 24);
+  if (base.length < 3) base = `user${base}`;
+
+  let candidate = base;
+  for (let attempt = 0; await User.exists({ username: candidate }); attempt++) {
+    const suffix =
+      attempt < 5
+        ? String(crypto.randomInt(1000, 10000))
+        : crypto.randomBytes(3).toString("hex");
+    candidate = `${base}${suffix}`;
+  }
+  return candidate;
+};
+
+const displayName = (identity, username) => {
+  const name = String(identity.name || "").trim().slice(0, 50);
+  return name.length >= 2 ? name : username;
+};
+
+const assertNotDeleted = (user) => {
+  if (user.isDeleted) {
+    throw new AuthenticationError("Account no longer exists", {
+      code: "USER_NOT_FOUND",
     });
   }
+  return user;
+};
+
+// Finds the user an identity signs in as: an account it is already linked
+// to, else the account with the same (provider-verified) email, which gets
+// linked, else a new account
+const findOrCreateOAuthUser = async (provider, identity) => {
+  const link = {
+    provider: provider.name,
+    subject: identity.subject,
+    email: identity.email,
+    linkedAt: new Date(),
+  };
+
+  const linked = await User.findOne({
+    oauthAccounts: {
+      $elemMatch: { provider: provider.name, subject: identity.subject },
+    },
+  });
+  if (linked) return assertNotDeleted(linked);
+
+  if (!identity.email || !identity.emailVerified) {
+    throw new ForbiddenError(
+      "Your account at this provider has no verified email address",
+      { code: "OAUTH_EMAIL_NOT_VERIFIED" }
+    );
+  }
+
+  const existing = await User.findOne({ email: identity.email });
+  if (existing) {
+    assertNotDeleted(existing);
+    // Whoever registered an unverified account never proved they own the
+    // address, so their password and sessions don't survive the link
+    if (!existing.isVerified) {
+      existing.isVerified = true;
+      existing.password = undefined;
+      await revokeAllUserTokens(existing._id);
+    }
+    existing.oauthAccounts.push(link);
+    await existing.save();
+    logger.info(`Linked ${provider.name} account to user ${existing._id}`);
+    return existing;
+  }
+
+  const username = await generateUsername(identity);
+  const user = await User.create({
+    name: displayName(identity, username),
+    username,
+    email: identity.email,
+    isVerified: true,
+    oauthAccounts: [link],
+  });
+  logger.info(`Created user ${user._id} from ${provider.name} sign-in`);
+  return user;
+};
+
+export const listOAuthProviders = (req, res) => {
+  res.status(200).json({
+    success: true,
+    providers: getOAuthProviderNames().map((name) => ({
+      name,
+      url: `${OAUTH_COOKIE_PATH}/${name}`,
+    })),
+  });
+};
+
+export const startOAuthLogin = async (req, res, next) => {
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) throw oauthProviderNotFound();
+
+    const { url, state } = await createAuthorizationRequest(provider, {
+      reauthenticate: req.query.reauth === "true",
+    });
+
+    // Binds the sign-in to this browser, so a callback URL started by
+    // someone else can't log the user into the wrong account
+    res.cookie(OAUTH_STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      path: OAUTH_COOKIE_PATH,
+      maxAge: 10 * 60 * 1000,
+    });
+    res.redirect(302, url);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const oauthCallback = async (req, res, next) => {
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) throw oauthProviderNotFound();
+
+    const { code, state, error: providerError } = req.query;
+    const cookieState = readCookie(req, OAUTH_STATE_COOKIE);
+    res.clearCookie(OAUTH_STATE_COOKIE, { path: OAUTH_COOKIE_PATH });
+
+    if (!safeEqual(cookieState, state)) {
+      throw new ValidationError("Sign-in request is invalid or has expired", {
+        code: "INVALID_OAUTH_STATE",
+      });
+    }
+    const request = await consumeAuthorizationState(state, provider);
+
+    if (providerError) {
+      throw new AppError("Sign-in was cancelled or denied", 400, {
+        code: "OAUTH_DENIED",
+        providerError,
+        ...(req.query.error_description && {
+          providerErrorDescription: req.query.error_description,
+        }),
+      });
+    }
+
+    const identity = await exchangeAuthorizationCode(provider, code, request);
+    const user = await findOrCreateOAuthUser(provider, identity);
+
+    if (user.isSuspended) {
+      throw accountSuspended();
+    }
+
+    logger.info(`User ${user._id} signed in with ${provider.name}`);
+    // The sign-in only counts as recent for re-authentication if the
+    // provider says when the user last entered credentials
+    await sendLoginResponse(res, user, { authTime: identity.authTime });
+    loginAttempts.inc({ method: "oauth", result: "success" });
+  } catch (error) {
+    loginAttempts.inc({ method: "oauth", result: "failure" });
+    // Lost a race with another sign-in creating the same account
+    next(
+      error.code === 11000
+        ? new ConflictError("Account already exists, please try again")
+        : error
+    );
+  }
 };
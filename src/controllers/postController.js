@@ -0,0 +1,219 @@
+import Post from "../models/Post.js";
+import {
+  deleteFiles,
+  deleteImage,
+  readFile,
+  uploadPostImage,
+  uploadThumbnail,
+} from "../config/storage/index.js";
+import { invalidateCacheTags } from "../middleware/cacheMiddleware.js";
+import { AUTHOR_FIELDS, postListQuery } from "../middleware/postMiddleware.js";
+import { claimUploads, releaseUploads } from "../utils/completedUploads.js";
+import { NotFoundError } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+
+const toStoredImage = (result) => ({
+  url: result.url,
+  publicId: result.public_id,
+  width: result.width,
+  height: result.height,
+  variants: result.variants,
+});
+
+const toPostView = (post) => ({
+  id: post._id,
+  title: post.title,
+  content: post.content,
+  author: post.author,
+  images: post.images,
+  thumbnail: post.thumbnail,
+  createdAt: post.createdAt,
+  updatedAt: post.updatedAt,
+});
+
+const deletePostAssets = async (post) => {
+  const publicIds = Post.assetPublicIds(post);
+  if (publicIds.length === 0) return;
+  await deleteFiles(publicIds).catch((error) => {
+    logger.warn(`Failed to delete assets of post ${post._id}: ${error.message}`);
+  });
+};
+
+// Uploads the images in order plus a thumbnail of the first one. If any
+// upload fails, the ones that succeeded are removed again.
+const uploadPostAssets = async (files) => {
+  const uploaded = [];
+  try {
+    for (const file of files) {
+      uploaded.push(
+        toStoredImage(await uploadPostImage(file.buffer, file.mimetype))
+      );
+    }
+    const thumbnail = toStoredImage(
+      await uploadThumbnail(files[0].buffer, files[0].mimetype)
+    );
+    const assets = { images: uploaded, thumbnail };
+    return { assets, undo: () => deletePostAssets(assets) };
+  } catch (error) {
+    await Promise.all(
+      uploaded.map((image) => deleteImage(image).catch(() => {}))
+    );
+    throw error;
+  }
+};
+
+// Claims completed uploads (see uploadController.js) as the images, in
+// order, and makes a thumbnail from the stored original of the first one.
+// Undoing gives the uploads back instead of deleting them.
+const claimPostAssets = async (uploadIds, owner) => {
+  const uploads = await claimUploads(uploadIds, { owner, preset: "post" });
+  try {
+    const [first] = uploads;
+    const thumbnail = toStoredImage(
+      await uploadThumbnail(
+        await readFile(first.image.publicId),
+        first.contentType
+      )
+    );
+    return {
+      assets: {
+        images: uploads.map((upload) => upload.image.toObject()),
+        thumbnail,
+      },
+      undo: async () => {
+        await deleteImage(thumbnail).catch(() => {});
+        await releaseUploads(uploads);
+      },
+    };
+  } catch (error) {
+    await releaseUploads(uploads);
+    throw error;
+  }
+};
+
+// Images arrive as multipart files or as upload IDs (requirePostImages
+// makes sure it isn't both)
+const preparePostAssets = (req) =>
+  req.body.uploadIds && req.body.uploadIds.length > 0
+    ? claimPostAssets(req.body.uploadIds, req.user.userId)
+    : uploadPostAssets(req.files);
+
+const hasNewImages = (req) =>
+  (req.files && req.files.length > 0) ||
+  (req.body.uploadIds && req.body.uploadIds.length > 0);
+
+export const listPosts = async (req, res, next) => {
+  try {
+    const page = await postListQuery.find(req.listQuery);
+
+    res.status(200).json({
+      success: true,
+      ...page,
+      data: page.data.map(toPostView),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getPost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id).populate(
+      "author",
+      AUTHOR_FIELDS
+    );
+    if (!post) {
+      throw new NotFoundError("Post not found");
+    }
+
+    res.status(200).json({ success: true, post: toPostView(post) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createPost = async (req, res, next) => {
+  try {
+    const { title, content } = req.body;
+    const { assets, undo } = await preparePostAssets(req);
+
+    let post;
+    try {
+      post = await Post.create({
+        author: req.user.userId,
+        title,
+        content,
+        ...assets,
+      });
+    } catch (error) {
+      // Roll back the uploads so no orphaned assets are left behind
+      await undo();
+      throw error;
+    }
+
+    await post.populate("author", AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: "Post created successfully",
+      post: toPostView(post),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updatePost = async (req, res, next) => {
+  try {
+    const post = req.post;
+    const { title, content } = req.body;
+    if (title !== undefined) post.title = title;
+    if (content !== undefined) post.content = content;
+
+    // New images replace the old ones, which are deleted once the post is saved
+    if (hasNewImages(req)) {
+      const { images, thumbnail } = post.toObject();
+      const { assets, undo } = await preparePostAssets(req);
+      post.images = assets.images;
+      post.thumbnail = assets.thumbnail;
+      try {
+        await post.save();
+      } catch (error) {
+        await undo();
+        throw error;
+      }
+      await deletePostAssets({ _id: post._id, images, thumbnail });
+    } else {
+      await post.save();
+    }
+
+    await invalidateCacheTags(`post:${post._id}`);
+    await post.populate("author", AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      message: "Post updated successfully",
+      post: toPostView(post),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deletePost = async (req, res, next) => {
+  try {
+    const post = req.post;
+    await post.deleteOne();
+    await deletePostAssets(post);
+    await invalidateCacheTags(`post:${post._id}`);
+
+    logger.info(`User ${req.user.userId} deleted post ${post._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Post deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,170 @@
+import User from "../models/User.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { issueTokens, revokeAllUserTokens } from "../utils/tokenService.js";
+import {
+  buildOtpauthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+import {
+  decryptSecret,
+  encryptSecret,
+  generateRecoveryCodes,
+  getTwoFactorIssuer,
+  isTwoFactorRequired,
+} from "../utils/twoFactor.js";
+
+const assertCanEnable = (user) => {
+  if (!user) throw new NotFoundError("User not found");
+  if (user.twoFactor.enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled", {
+      code: "TWO_FACTOR_ALREADY_ENABLED",
+    });
+  }
+};
+
+export const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select(
+      "+twoFactor.recoveryCodes"
+    );
+    if (!user) throw new NotFoundError("User not found");
+
+    res.status(200).json({
+      success: true,
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? user.twoFactor.recoveryCodes.length
+        : 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    assertCanEnable(user);
+
+    // Starting over replaces a secret that was never confirmed
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the code with your authenticator app, then confirm it",
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        account: user.email,
+        issuer: getTwoFactorIssuer(),
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select(
+      "+twoFactor.pendingSecret"
+    );
+    assertCanEnable(user);
+    if (!user.twoFactor.pendingSecret) {
+      throw new ValidationError("Start two-factor setup first", {
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+      });
+    }
+
+    const step = verifyTotp(
+      decryptSecret(user.twoFactor.pendingSecret),
+      req.body.code
+    );
+    if (step === null) {
+      throw new ValidationError("Invalid authentication code", {
+        code: "INVALID_TWO_FACTOR_CODE",
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: user.twoFactor.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: hashes,
+    };
+    await user.save();
+
+    logger.info(`User ${user._id} enabled two-factor authentication`);
+
+    // Sessions opened with the password alone end; this one gets a fresh
+    // pair of tokens
+    await revokeAllUserTokens(user._id);
+    const { accessToken, refreshToken } = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store these recovery codes somewhere safe, they are only shown once",
+      recoveryCodes: codes,
+      token: accessToken,
+      refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = req.twoFactorUser;
+    if (isTwoFactorRequired(user)) {
+      throw new ForbiddenError(
+        "Two-factor authentication is required for this account",
+        { code: "TWO_FACTOR_REQUIRED" }
+      );
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    logger.info(`User ${user._id} disabled two-factor authentication`);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: req.twoFactorUser._id },
+      { $set: { "twoFactor.recoveryCodes": hashes } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "New recovery codes generated, the old ones no longer work",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
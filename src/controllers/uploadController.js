@@ -0,0 +1,310 @@
+import crypto from "crypto";
+import { directUploadConfigs } from "../config/multer.js";
+import {
+  createUploadTarget,
+  deleteFile,
+  deleteImage,
+  readFile,
+  uploadImage,
+} from "../config/storage/index.js";
+import { recordCompletedUpload } from "../utils/completedUploads.js";
+import {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errorHandler.js";
+import { FileRejectedError, inspectImage } from "../utils/fileInspector.js";
+import { mimeTypeFor } from "../utils/imageProcessor.js";
+import { logger } from "../utils/logger.js";
+import { uploadSessions } from "../utils/uploadSessions.js";
+
+const sizeLimitMessage = (config) =>
+  `File must not exceed ${Math.round(config.maxFileSize / 1024 / 1024)} MB`;
+
+// Checks the type and size a client declares before any bytes are sent
+const checkDeclaredFile = ({ preset, contentType, size }) => {
+  const config = directUploadConfigs[preset];
+  if (!config.allowedMimeTypes.includes(contentType)) {
+    throw new FileRejectedError(config.errorMessage, 415, "UNSUPPORTED_FILE_TYPE");
+  }
+  if (size > config.maxFileSize) {
+    throw new FileRejectedError(sizeLimitMessage(config), 413, "LIMIT_FILE_SIZE");
+  }
+};
+
+// Runs the received file through the same inspection and preset processing
+// as a multipart upload, then records it for its owner until a post or
+// profile claims it by upload ID
+const processUpload = async (buffer, { id, preset, contentType }, owner) => {
+  const config = directUploadConfigs[preset];
+  if (buffer.length > config.maxFileSize) {
+    throw new FileRejectedError(sizeLimitMessage(config), 413, "LIMIT_FILE_SIZE");
+  }
+  const file = await inspectImage(
+    { buffer, mimetype: contentType, originalname: id, size: buffer.length },
+    config
+  );
+  const result = await uploadImage(file.buffer, preset, {
+    contentType: file.mimetype,
+  });
+
+  const image = {
+    url: result.url,
+    publicId: result.public_id,
+    width: result.width,
+    height: result.height,
+    variants: result.variants,
+  };
+  try {
+    await recordCompletedUpload(id, {
+      owner,
+      preset,
+      contentType: mimeTypeFor(result.format),
+      image,
+    });
+  } catch (error) {
+    // Unrecorded files would never be claimed or swept
+    await deleteImage(image).catch(() => {});
+    throw error;
+  }
+  return result;
+};
+
+const sendProcessedUpload = (res, uploadId, result) =>
+  res.json({
+    success: true,
+    uploadId,
+    imageUrl: result.url,
+    publicId: result.public_id,
+    width: result.width,
+    height: result.height,
+    variants: result.variants,
+  });
+
+const uploadNotFound = () =>
+  new NotFoundError("Upload not found or expired", {
+    code: "UPLOAD_NOT_FOUND",
+  });
+
+const alreadyCompleting = () =>
+  new ConflictError("Upload is already being completed", {
+    code: "UPLOAD_IN_PROGRESS",
+  });
+
+export const signUpload = async (req, res, next) => {
+  try {
+    const { preset, contentType, size } = req.body;
+    checkDeclaredFile(req.body);
+
+    const id = crypto.randomUUID();
+    const expiresIn = uploadSessions.config.directTtl;
+    const target = await createUploadTarget({
+      publicId: id,
+      contentType,
+      maxBytes: size,
+      expiresIn,
+    });
+    await uploadSessions.createDirect(id, {
+      userId: req.user.userId,
+      preset,
+      contentType,
+      size,
+      publicId: target.publicId,
+    });
+
+    res.status(201).json({
+      success: true,
+      uploadId: id,
+      upload: {
+        method: target.method,
+        url: target.url,
+        fields: target.fields,
+        headers: target.headers,
+      },
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const completeDirectUpload = async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+    const upload = await uploadSessions.getDirect(uploadId);
+    if (!upload || upload.userId !== req.user.userId) {
+      throw uploadNotFound();
+    }
+
+    let buffer;
+    try {
+      buffer = await readFile(upload.publicId, { maxBytes: upload.size });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new ConflictError("File has not been uploaded yet", {
+        code: "UPLOAD_NOT_RECEIVED",
+      });
+    }
+
+    if (!(await uploadSessions.claimDirect(uploadId))) {
+      throw uploadNotFound();
+    }
+
+    try {
+      const result = await processUpload(
+        buffer,
+        { id: uploadId, ...upload },
+        req.user.userId
+      );
+      sendProcessedUpload(res, uploadId, result);
+    } finally {
+      // The processed copy is stored under the preset's folder
+      await deleteFile(upload.publicId).catch((error) => {
+        logger.warn(`Failed to delete incoming upload ${upload.publicId}: ${error.message}`);
+      });
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const startChunkedUpload = async (req, res, next) => {
+  try {
+    const { preset, contentType, size, chunkSize } = req.body;
+    checkDeclaredFile(req.body);
+
+    const session = await uploadSessions.createChunked({
+      userId: req.user.userId,
+      preset,
+      contentType,
+      size,
+      chunkSize,
+    });
+
+    res.status(201).json({
+      success: true,
+      uploadId: session.id,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      expiresIn: uploadSessions.config.chunkedTtl,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const loadChunkedSession = async (req) => {
+  const session = await uploadSessions.getChunked(req.params.uploadId);
+  return session && session.userId === req.user.userId ? session : null;
+};
+
+const missingChunks = (session) =>
+  Array.from({ length: session.totalChunks }, (_, i) => i).filter(
+    (index) => !session.received.includes(index)
+  );
+
+export const getChunkedUploadStatus = async (req, res, next) => {
+  try {
+    const session = await loadChunkedSession(req);
+    if (!session) throw uploadNotFound();
+
+    res.json({
+      success: true,
+      uploadId: session.id,
+      size: session.size,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      received: session.received,
+      missing: missingChunks(session),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const uploadChunk = async (req, res, next) => {
+  try {
+    const session = await loadChunkedSession(req);
+    if (!session) throw uploadNotFound();
+    if (session.completing) throw alreadyCompleting();
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      throw new ValidationError("Validation failed", {
+        errors: [`Chunk index must be between 0 and ${session.totalChunks - 1}`],
+      });
+    }
+
+    // Every chunk but the last must be exactly chunkSize bytes
+    const isLast = index === session.totalChunks - 1;
+    const expectedLength = isLast
+      ? session.size - session.chunkSize * (session.totalChunks - 1)
+      : session.chunkSize;
+    if (!Buffer.isBuffer(req.body) || req.body.length !== expectedLength) {
+      throw new FileRejectedError(
+        `Chunk ${index} must be ${expectedLength} bytes`,
+        400,
+        "INVALID_CHUNK_SIZE",
+        "chunk"
+      );
+    }
+
+    await uploadSessions.storeChunk(session.id, index, req.body);
+    res.json({ success: true, index });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const completeChunkedUpload = async (req, res, next) => {
+  try {
+    const session = await loadChunkedSession(req);
+    if (!session) throw uploadNotFound();
+
+    const missing = missingChunks(session);
+    if (missing.length > 0) {
+      throw new ConflictError("Upload is incomplete", {
+        code: "UPLOAD_INCOMPLETE",
+        missing,
+      });
+    }
+
+    if (!(await uploadSessions.claimChunked(session.id))) {
+      throw alreadyCompleting();
+    }
+
+    let result;
+    try {
+      const buffer = await uploadSessions.readChunks(session);
+      result = await processUpload(buffer, session, req.user.userId);
+    } catch (error) {
+      // A rejected file can't be fixed by retrying, anything else can
+      if (error instanceof FileRejectedError) {
+        await uploadSessions.removeChunked(session.id);
+      } else {
+        await uploadSessions.releaseChunked(session.id);
+      }
+      throw error;
+    }
+
+    await uploadSessions.removeChunked(session.id).catch((error) => {
+      logger.warn(`Failed to remove upload session ${session.id}: ${error.message}`);
+    });
+    sendProcessedUpload(res, session.id, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const abortChunkedUpload = async (req, res, next) => {
+  try {
+    const session = await loadChunkedSession(req);
+    if (!session) throw uploadNotFound();
+
+    await uploadSessions.removeChunked(session.id);
+    res.json({ success: true, message: "Upload cancelled" });
+  } catch (error) {
+    next(error);
+  }
+};
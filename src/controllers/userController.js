@@ -0,0 +1,291 @@
+import bcrypt from "bcrypt";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import { deleteFiles, deleteImage } from "../config/storage/index.js";
+import { invalidateCacheTags } from "../middleware/cacheMiddleware.js";
+import { startEmailVerification } from "../utils/emails.js";
+import { confirmSecondFactor } from "../middleware/twoFactorMiddleware.js";
+import {
+  AppError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { issueTokens, revokeAllUserTokens } from "../utils/tokenService.js";
+
+const toProfileView = (user) => ({
+  id: user._id,
+  name: user.name,
+  username: user.username,
+  email: user.email,
+  pendingEmail: user.pendingEmail,
+  role: user.role,
+  isVerified: user.isVerified,
+  twoFactorEnabled: user.twoFactor.enabled,
+  profileImage: user.profileImage,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+});
+
+// Only what anyone may see: no email, role, status or storage IDs
+const toPublicProfile = (user) => ({
+  username: user.username,
+  name: user.name,
+  profileImage:
+    user.profileImage && user.profileImage.url
+      ? {
+          url: user.profileImage.url,
+          width: user.profileImage.width,
+          height: user.profileImage.height,
+          variants: (user.profileImage.variants || []).map(
+            ({ name, format, url, width, height }) => ({
+              name,
+              format,
+              url,
+              width,
+              height,
+            })
+          ),
+        }
+      : null,
+  createdAt: user.createdAt,
+});
+
+// Loads the current user with their password hash and checks the password
+// they sent. Throws when it doesn't match.
+const verifyCurrentPassword = async (req) => {
+  const user = await User.findById(req.user.userId).select("+password");
+  if (!user) throw new NotFoundError("User not found");
+
+  // Accounts created through an OAuth provider have nothing to compare with
+  if (!user.password) {
+    throw new AppError(
+      "This account has no password yet, set one with a password reset first",
+      400,
+      { code: "PASSWORD_NOT_SET" }
+    );
+  }
+
+  if (!(await bcrypt.compare(req.body.currentPassword, user.password))) {
+    throw new ValidationError("Current password is incorrect", {
+      code: "INVALID_CURRENT_PASSWORD",
+    });
+  }
+
+  return user;
+};
+
+const REAUTHENTICATION_WINDOW = 5 * 60; // Seconds a sign-in counts as recent
+
+// Confirms a sensitive change with the current password. Accounts without
+// one (OAuth sign-ups) use a two-factor code, or a sign-in from the last
+// REAUTHENTICATION_WINDOW seconds.
+const verifyReauthentication = async (req) => {
+  const user = await User.findById(req.user.userId).select(
+    "+password +twoFactor.secret +twoFactor.recoveryCodes"
+  );
+  if (!user) throw new NotFoundError("User not found");
+
+  const { currentPassword, code } = req.body;
+  if (user.password) {
+    if (!currentPassword) {
+      throw new ValidationError("Validation failed", {
+        errors: ["Current password is required"],
+      });
+    }
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      throw new ValidationError("Current password is incorrect", {
+        code: "INVALID_CURRENT_PASSWORD",
+      });
+    }
+    return user;
+  }
+
+  if (code && user.twoFactor.enabled) {
+    await confirmSecondFactor(user, code);
+    return user;
+  }
+
+  const { authTime } = req.user;
+  if (authTime && Date.now() / 1000 - authTime <= REAUTHENTICATION_WINDOW) {
+    return user;
+  }
+  throw new ForbiddenError("Sign in again to confirm this change", {
+    code: "REAUTHENTICATION_REQUIRED",
+  });
+};
+
+const usernameTaken = () =>
+  new ConflictError("Username is already taken", { code: "USERNAME_TAKEN" });
+
+export const getMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    res.status(200).json({ success: true, user: toProfileView(user) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateMe = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { username } = req.body;
+
+    if (username) {
+      const taken = await User.exists({ username, _id: { $ne: userId } });
+      if (taken) throw usernameTaken();
+    }
+
+    const user = await User.findByIdAndUpdate(userId, req.body, {
+      new: true,
+      runValidators: true,
+    });
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    await invalidateCacheTags(`user:${userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Profile updated successfully",
+      user: toProfileView(user),
+    });
+  } catch (error) {
+    // Lost a race for the same username
+    next(error.code === 11000 ? usernameTaken() : error);
+  }
+};
+
+export const changePassword = async (req, res, next) => {
+  try {
+    const user = await verifyCurrentPassword(req);
+
+    const saltRounds = 10;
+    user.password = await bcrypt.hash(req.body.password, saltRounds);
+    await user.save();
+
+    // Sign out every other session; this one gets a fresh pair of tokens
+    await revokeAllUserTokens(user._id);
+    const { accessToken, refreshToken } = await issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed successfully",
+      token: accessToken,
+      refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const changeEmail = async (req, res, next) => {
+  try {
+    const user = await verifyReauthentication(req);
+
+    const { email } = req.body;
+    if (email === user.email) {
+      throw new ValidationError(
+        "New email must be different from the current one",
+        { code: "EMAIL_UNCHANGED" }
+      );
+    }
+    if (await User.exists({ email })) {
+      throw new ConflictError("Email address is already in use", {
+        code: "EMAIL_TAKEN",
+      });
+    }
+
+    // The address only changes once the link sent to it is opened
+    user.pendingEmail = email;
+    await startEmailVerification(user);
+
+    res.status(200).json({
+      success: true,
+      message:
+        "A verification link has been sent to the new address. Your email changes once it is verified",
+      pendingEmail: email,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Posts go with the account; their files are removed after the documents so
+// a storage error can only leave orphaned files, never broken posts. Cached
+// copies are purged too, or GET /posts/:id would serve them until they expire.
+const deleteUserPosts = async (userId) => {
+  const posts = await Post.find({ author: userId }).select("images thumbnail");
+  if (posts.length === 0) return;
+
+  await Post.deleteMany({ author: userId });
+  await invalidateCacheTags(...posts.map((post) => `post:${post._id}`));
+  for (const post of posts) {
+    const publicIds = Post.assetPublicIds(post);
+    if (publicIds.length === 0) continue;
+    await deleteFiles(publicIds).catch((error) => {
+      logger.warn(`Failed to delete assets of post ${post._id}: ${error.message}`);
+    });
+  }
+};
+
+export const deleteMe = async (req, res, next) => {
+  try {
+    const user = await verifyReauthentication(req);
+
+    // Soft delete: the record stays (and keeps its email and username
+    // reserved) but can no longer sign in or be looked up
+    const profileImage = user.profileImage;
+    user.isDeleted = true;
+    user.deletedAt = new Date();
+    user.profileImage = undefined;
+    user.pendingEmail = undefined;
+    await user.save();
+
+    await revokeAllUserTokens(user._id);
+
+    if (profileImage && profileImage.publicId) {
+      await deleteImage(profileImage).catch((error) => {
+        logger.warn(`Failed to delete profile image ${profileImage.publicId}: ${error.message}`);
+      });
+    }
+    await deleteUserPosts(user._id);
+    await invalidateCacheTags(`user:${user._id}`);
+
+    logger.info(`User ${user._id} deleted their account`);
+
+    res.status(200).json({
+      success: true,
+      message: "Account deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getPublicProfile = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      username: req.params.username,
+      isDeleted: { $ne: true },
+    });
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    // Lets the cache tag this response so profile changes purge it
+    res.locals.userId = user._id;
+
+    res.status(200).json({ success: true, user: toPublicProfile(user) });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,37 @@
+import Joi from "joi";
+import { schemas } from "../config/schemas.js";
+import User from "../models/User.js";
+import { createListQuery } from "../utils/listQuery.js";
+import { validate } from "./validationMiddleware.js";
+
+export const userListQuery = createListQuery(User, {
+  sortFields: ["createdAt", "name", "username", "email"],
+  filters: {
+    role: {
+      schema: Joi.string().valid("user", "admin").messages({
+        "any.only": "Role must be one of user, admin",
+      }),
+    },
+    suspended: { field: "isSuspended", schema: Joi.boolean() },
+    verified: { field: "isVerified", schema: Joi.boolean() },
+    deleted: { field: "isDeleted", schema: Joi.boolean() },
+    createdAt: { schema: Joi.date().iso(), range: true },
+  },
+  fields: [
+    "name",
+    "username",
+    "email",
+    "role",
+    "isVerified",
+    "isSuspended",
+    "isDeleted",
+    "twoFactor.enabled",
+    "profileImage",
+    "createdAt",
+  ],
+  search: { fields: ["name", "username", "email"] },
+});
+
+export const validateUserSearch = userListQuery.validate;
+
+export const validateUserId = validate(schemas.admin.userId);
@@ -1,86 +1,79 @@
-import Joi from "joi";
 import jwt from "jsonwebtoken";
-
-export const authenticateToken = (req, res, next) => {
+import { schemas } from "../config/schemas.js";
+import {
+  AuthenticationError,
+  ValidationError,
+} from "../utils/errorHandler.js";
+import { documented } from "../utils/openapi.js";
+import { isAccessTokenRevoked } from "../utils/tokenService.js";
+import { validate } from "./validationMiddleware.js";
+
+// Access tokens are untyped. `acceptedType` lets a route take one other
+// kind of token as well.
+const verifyBearerToken = (acceptedType) => (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: "Access token required",
-    });
+    return next(
+      new AuthenticationError("Access token required", {
+        code: "TOKEN_REQUIRED",
+      })
+    );
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        success: false,
-        message: "Invalid or expired token",
-      });
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    // Expired or malformed tokens are mapped by the error handler
+    if (err) return next(err);
+
+    // Refresh tokens (when they share the secret), pending two-factor
+    // sign-ins and enrollment tokens must not open a session
+    if (user.type && user.type !== acceptedType) {
+      return next(
+        new AuthenticationError("Invalid token", { code: "INVALID_TOKEN" })
+      );
+    }
+
+    try {
+      if (await isAccessTokenRevoked(user)) {
+        return next(
+          new AuthenticationError("Token has been revoked", {
+            code: "TOKEN_REVOKED",
+          })
+        );
+      }
+    } catch (error) {
+      return next(error);
     }
+
     req.user = user;
     next();
   });
 };
 
-export const validateRegistration = (req, res, next) => {
-  const schema = Joi.object({
-    name: Joi.string().min(2).max(50).required().messages({
-      "string.min": "Name must be at least 2 characters long",
-      "string.max": "Name must not exceed 50 characters",
-      "any.required": "Name is required",
-    }),
-    username: Joi.string().alphanum().min(3).max(30).required().messages({
-      "string.alphanum": "Username must only contain alphanumeric characters",
-      "string.min": "Username must be at least 3 characters long",
-      "string.max": "Username must not exceed 30 characters",
-      "any.required": "Username is required",
-    }),
-
-    email: Joi.string().email().required().messages({
-      "string.email": "Please provide a valid email address",
-      "any.required": "Email is required",
-    }),
-
-    password: Joi.string()
-      .min(8)
-      .pattern(new RegExp("^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%^&*])"))
-      .required()
-      .messages({
-        "string.min": "Password must be at least 8 characters long",
-        "string.pattern.base":
-          "Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character",
-        "any.required": "Password is required",
-      }),
-
-    confirmPassword: Joi.string()
-      .valid(Joi.ref("password"))
-      .required()
-      .messages({
-        "any.only": "Passwords do not match",
-        "any.required": "Password confirmation is required",
-      }),
-  });
-
-  const { error } = schema.validate(req.body, { abortEarly: false });
-
-  if (error) {
-    const errorMessages = error.details.map((detail) => detail.message);
-    return res.status(400).json({
-      success: false,
-      message: "Validation failed",
-      errors: errorMessages,
-    });
-  }
-
-  next();
-};
+export const authenticateToken = verifyBearerToken();
+documented(authenticateToken, { security: [{ bearerAuth: [] }] });
+
+/**
+ * Like authenticateToken, but also accepts the enrollment token that login
+ * returns to users who must enable two-factor authentication first
+ */
+export const authenticateEnrollment = verifyBearerToken("2fa-enroll");
+documented(authenticateEnrollment, { security: [{ bearerAuth: [] }] });
+
+export const validateRegistration = validate(schemas.auth.register);
+export const validateLogin = validate(schemas.auth.login);
+export const validateEmail = validate(schemas.auth.email);
+export const validateResetPassword = validate(schemas.auth.resetPassword);
+export const validateLogout = validate(schemas.auth.logout);
+export const validateRefreshToken = validate(schemas.auth.refresh);
+export const validateOAuthCallback = validate(schemas.auth.oauthCallback);
+export const validateProfileImage = validate(schemas.auth.profileImage);
 
 export const validateFileUpload = (options = {}) => {
   const { multiple = false, maxFiles = 5, required = true } = options;
 
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     const hasFile = req.file;
     const hasFiles = req.files && Object.keys(req.files).length > 0;
     const filesArray = Array.isArray(req.files)
@@ -89,37 +82,39 @@ export const validateFileUpload = (options = {}) => {
 
     // Check if files are required and missing
     if (required && !hasFile && !hasFiles) {
-      return res.status(400).json({
-        success: false,
-        message: "Validation failed",
-        errors: [multiple ? "Files are required" : "File is required"],
-      });
+      return next(
+        new ValidationError("Validation failed", {
+          errors: [multiple ? "Files are required" : "File is required"],
+        })
+      );
     }
 
     // If expecting multiple files
     if (multiple) {
       if (hasFiles && filesArray.length > maxFiles) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: [
-            `Maximum ${maxFiles} files allowed, but ${filesArray.length} files provided`,
-          ],
-        });
+        return next(
+          new ValidationError("Validation failed", {
+            errors: [
+              `Maximum ${maxFiles} files allowed, but ${filesArray.length} files provided`,
+            ],
+          })
+        );
       }
     } else {
       // If expecting single file
       if (hasFiles && !hasFile) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: ["Single file expected, but multiple files provided"],
-        });
+        return next(
+          new ValidationError("Validation failed", {
+            errors: ["Single file expected, but multiple files provided"],
+          })
+        );
       }
     }
 
     next();
   };
+
+  return documented(middleware, { filesRequired: required });
 };
 
 // Predefined validators for common use cases
@@ -141,29 +136,3 @@ export const validateOptionalMultipleFileUpload = validateFileUpload({
   maxFiles: 10,
   required: false,
 });
-
-export const validateLogin = (req, res, next) => {
-  const schema = Joi.object({
-    email: Joi.string().email().required().messages({
-      "string.email": "Please provide a valid email address",
-      "any.required": "Email is required",
-    }),
-
-    password: Joi.string().required().messages({
-      "any.required": "Password is required",
-    }),
-  });
-
-  const { error } = schema.validate(req.body, { abortEarly: false });
-
-  if (error) {
-    const errorMessages = error.details.map((detail) => detail.message);
-    return res.status(400).json({
-      success: false,
-      message: "Validation failed",
-      errors: errorMessages,
-    });
-  }
-
-  next();
-};
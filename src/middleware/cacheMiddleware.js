@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import { hashRing } from "../utils/consistentHash.js";
+import { logger } from "../utils/logger.js";
+
+const CACHE_PREFIX = "cache:";
+const TAG_PREFIX = "cache-tag:";
+
+const getClient = (key) => hashRing.getServer(key).client;
+
+const sha1 = (value) => crypto.createHash("sha1").update(value).digest("hex");
+
+const resolve = (value, req, res) =>
+  typeof value === "function" ? value(req, res) : value;
+
+// "user" varies by the authenticated user, anything else is a request header
+const varyValue = (req, name) =>
+  name === "user"
+    ? (req.user && req.user.userId) || "anonymous"
+    : req.get(name) || "";
+
+// Without a keyBy, authenticated responses are always keyed per user, so one
+// user's response is never served to another
+const buildKey = (req, keyBy, varyBy) => {
+  const base = keyBy ? keyBy(req) : req.originalUrl;
+  const names =
+    !keyBy && req.user && !varyBy.includes("user")
+      ? [...varyBy, "user"]
+      : varyBy;
+  const vary = names.map((name) => `${name}=${varyValue(req, name)}`);
+  return `${CACHE_PREFIX}${sha1([base, ...vary].join("|"))}`;
+};
+
+/**
+ * Cache successful GET responses on the Redis shard chosen by the hash ring.
+ * Requests sent with `Cache-Control: no-cache` skip the lookup and refresh the
+ * entry; `no-store` bypasses the cache entirely.
+ * @param {Object} options - Cache configuration
+ * @param {number} options.ttl - Time to live in seconds (default: 60)
+ * @param {Function} options.keyBy - Builds the cache key from the request
+ *   (default: originalUrl, plus the user ID when authenticated)
+ * @param {string[]} options.varyBy - Header names (or "user") the response varies on
+ * @param {string[]|Function} options.tags - Tags used to purge entries with
+ *   invalidateCacheTags. A function is called with (req, res) once the
+ *   response is sent, so it can read values the handler put in res.locals.
+ * @returns {Function} Express middleware
+ */
+export const cache = (options = {}) => {
+  const { ttl = 60, keyBy, varyBy = [], tags = [] } = options;
+  const headerVary = varyBy.filter((name) => name !== "user");
+
+  return async (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+    const cacheControl = req.get("cache-control") || "";
+    if (cacheControl.includes("no-store")) return next();
+
+    const key = buildKey(req, keyBy, varyBy);
+    const client = getClient(key);
+    if (headerVary.length > 0) res.vary(headerVary);
+
+    if (!cacheControl.includes("no-cache")) {
+      try {
+        const cached = await client.get(key);
+        if (cached) {
+          const entry = JSON.parse(cached);
+          res.set("X-Cache", "HIT");
+          res.set("ETag", entry.etag);
+          res.type(entry.contentType);
+          // Express answers with 304 when If-None-Match matches the ETag
+          return res
+            .status(entry.status)
+            .send(
+              entry.encoding === "base64"
+                ? Buffer.from(entry.body, "base64")
+                : entry.body
+            );
+        }
+      } catch (error) {
+        logger.warn(`Cache lookup failed for ${req.originalUrl}: ${error.message}`);
+      }
+    }
+
+    res.set("X-Cache", "MISS");
+    const originalSend = res.send.bind(res);
+
+    res.send = (body) => {
+      // res.send(object) re-enters through res.json with the serialized string
+      if (body !== null && typeof body === "object" && !Buffer.isBuffer(body)) {
+        return originalSend(body);
+      }
+
+      res.send = originalSend;
+      if (res.statusCode !== 200 || body === undefined || body === null) {
+        return originalSend(body);
+      }
+
+      const isBuffer = Buffer.isBuffer(body);
+      const etag = `"${sha1(body)}"`;
+      res.set("ETag", etag);
+
+      const entry = JSON.stringify({
+        status: res.statusCode,
+        contentType: res.get("Content-Type") || "application/octet-stream",
+        body: isBuffer ? body.toString("base64") : String(body),
+        encoding: isBuffer ? "base64" : "utf8",
+        etag,
+      });
+
+      storeEntry(client, key, entry, ttl, resolve(tags, req, res)).catch((error) => {
+        logger.warn(`Cache store failed for ${req.originalUrl}: ${error.message}`);
+      });
+
+      return originalSend(body);
+    };
+
+    next();
+  };
+};
+
+const storeEntry = async (client, key, entry, ttl, tags) => {
+  await client.set(key, entry, { EX: ttl });
+
+  // Tag sets outlive their entries slightly so purges never miss a live entry
+  await Promise.all(
+    tags.map(async (tag) => {
+      const tagKey = `${TAG_PREFIX}${tag}`;
+      const tagClient = getClient(tagKey);
+      await tagClient.sAdd(tagKey, key);
+      await tagClient.expire(tagKey, ttl * 2);
+    })
+  );
+};
+
+/**
+ * Purge every cached response stored under any of the given tags
+ * @param {...string} tags - Tags to invalidate
+ * @returns {Promise<void>}
+ */
+export const invalidateCacheTags = async (...tags) => {
+  await Promise.all(
+    tags.map(async (tag) => {
+      const tagKey = `${TAG_PREFIX}${tag}`;
+      const tagClient = getClient(tagKey);
+      const keys = await tagClient.sMembers(tagKey);
+      await Promise.all(keys.map((key) => getClient(key).del(key)));
+      await tagClient.del(tagKey);
+    })
+  );
+};
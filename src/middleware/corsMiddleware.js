@@ -2,6 +2,7 @@ import cors from "cors";
 
 export const corsMiddleware = cors({
     origin: process.env.CORS_ORIGIN || "*", 
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "Cache-Control", "X-Request-Id"],
+    exposedHeaders: ["ETag", "X-Cache", "X-Request-Id"],
 })
\ No newline at end of file
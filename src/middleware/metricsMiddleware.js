@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import { AuthenticationError } from "../utils/errorHandler.js";
+import {
+  httpRequestDuration,
+  httpRequestsTotal,
+} from "../utils/metrics.js";
+import { routeTemplate } from "../utils/requestContext.js";
+
+// Requests no route matched share one label, so scanners probing random
+// URLs can't create a series per path
+const UNMATCHED_ROUTE = "unmatched";
+
+/**
+ * Count and time every answered request by method, route template and
+ * status. Mount early, so the time covers the whole middleware stack.
+ */
+export const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: routeTemplate(req) || UNMATCHED_ROUTE,
+      status: res.statusCode,
+    };
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+  next();
+};
+
+// Compares digests, so neither the token nor its length leaks through timing
+const tokenMatches = (token, expected) =>
+  crypto.timingSafeEqual(
+    crypto.createHash("sha256").update(token).digest(),
+    crypto.createHash("sha256").update(expected).digest()
+  );
+
+/**
+ * Require `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.
+ * Without a token the metrics are only served on the internal METRICS_PORT.
+ */
+export const requireMetricsToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return next();
+
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+  if (!token || !tokenMatches(token, expected)) {
+    return next(
+      new AuthenticationError("Valid metrics token required", {
+        code: "INVALID_METRICS_TOKEN",
+      })
+    );
+  }
+  next();
+};
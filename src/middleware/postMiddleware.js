@@ -0,0 +1,98 @@
+import Joi from "joi";
+import { hasPermission } from "../config/permissions.js";
+import { objectIdSchema, schemas } from "../config/schemas.js";
+import Post, { POST_LIMITS } from "../models/Post.js";
+import {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errorHandler.js";
+import { createListQuery } from "../utils/listQuery.js";
+import { validate } from "./validationMiddleware.js";
+
+export const MAX_POST_IMAGES = POST_LIMITS.images.max;
+
+export const validatePost = validate(schemas.posts.create);
+export const validatePostUpdate = validate(schemas.posts.update);
+export const validatePostId = validate(schemas.posts.id);
+
+export const AUTHOR_FIELDS = "name username profileImage.url";
+
+export const postListQuery = createListQuery(Post, {
+  sortFields: ["createdAt", "updatedAt", "title"],
+  filters: {
+    author: { schema: objectIdSchema },
+    createdAt: { schema: Joi.date().iso(), range: true },
+  },
+  fields: [
+    "title",
+    "content",
+    "author",
+    "images",
+    "thumbnail",
+    "createdAt",
+    "updatedAt",
+  ],
+  search: { text: true },
+  populate: ["author", AUTHOR_FIELDS],
+});
+
+export const validatePostList = postListQuery.validate;
+
+/**
+ * Check that a post's images come either as multipart files or as IDs of
+ * completed uploads (uploadIds), not both. Must run after multer and
+ * validatePost/validatePostUpdate.
+ * @param {Object} options - Options
+ * @param {boolean} options.required - Reject requests with neither
+ * @returns {Function} Express middleware
+ */
+export const requirePostImages = ({ required }) => (req, res, next) => {
+  const hasFiles = Array.isArray(req.files) && req.files.length > 0;
+  const hasUploads =
+    Array.isArray(req.body.uploadIds) && req.body.uploadIds.length > 0;
+
+  if (hasFiles && hasUploads) {
+    return next(
+      new ValidationError("Validation failed", {
+        errors: ["Send images either as files or as uploadIds, not both"],
+      })
+    );
+  }
+  if (required && !hasFiles && !hasUploads) {
+    return next(
+      new ValidationError("Validation failed", {
+        errors: ["Files or uploadIds are required"],
+      })
+    );
+  }
+  next();
+};
+
+/**
+ * Load the post in req.params.id into req.post, allowing only its author or
+ * users with the posts:manage permission through. Must run after authorize()
+ * or requirePermission() so req.user.role is fresh.
+ * @returns {Function} Express middleware
+ */
+export const requirePostOwner = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      throw new NotFoundError("Post not found");
+    }
+
+    const isAuthor = String(post.author) === String(req.user.userId);
+    if (!isAuthor && !hasPermission(req.user.role, "posts:manage")) {
+      throw new ForbiddenError(
+        "Only the author or an admin can modify this post",
+        { code: "NOT_POST_OWNER" }
+      );
+    }
+
+    req.post = post;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,12 +1,12 @@
-// Request timeout middleware
+import { AppError, sendProblem } from "../utils/errorHandler.js";
+
+// Request timeout middleware. The timer fires outside the middleware chain,
+// so it answers directly instead of going through next().
 export const timeoutMiddleware = (timeout = 30000) => {
   return (req, res, next) => {
     req.setTimeout(timeout, () => {
       if (!res.headersSent) {
-        res.status(408).json({
-          success: false,
-          message: "Request timeout",
-        });
+        sendProblem(req, res, new AppError("Request timeout", 408));
       }
     });
     next();
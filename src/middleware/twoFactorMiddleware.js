@@ -0,0 +1,144 @@
+import { schemas } from "../config/schemas.js";
+import User from "../models/User.js";
+import {
+  AuthenticationError,
+  RateLimitError,
+  ValidationError,
+} from "../utils/errorHandler.js";
+import { loginAttempts } from "../utils/metrics.js";
+import { verifyTotp } from "../utils/totp.js";
+import {
+  decryptSecret,
+  getMfaLockout,
+  hashRecoveryCode,
+  loadMfaChallenge,
+  recordMfaFailure,
+  recordUserMfaFailure,
+  resetUserMfaFailures,
+} from "../utils/twoFactor.js";
+import { validate } from "./validationMiddleware.js";
+
+export const validateTwoFactorCode = validate(schemas.twoFactor.code);
+export const validateTwoFactorVerify = validate(schemas.twoFactor.verify);
+
+// Accepts a TOTP code once per time step, or spends a recovery code. Both
+// updates are conditional, so concurrent requests can't use one code twice.
+const checkSecondFactor = async (user, code) => {
+  if (/^\d{6}$/.test(code)) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+    if (step === null) return null;
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedStep": null },
+          { "twoFactor.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return modifiedCount === 1 ? "totp" : null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return modifiedCount === 1 ? "recovery" : null;
+};
+
+/**
+ * Resolve the pending sign-in in req.body.mfaToken into req.mfaChallenge
+ * ({ jti, userId })
+ * @returns {Function} Express middleware
+ */
+export const requireMfaChallenge = async (req, res, next) => {
+  try {
+    req.mfaChallenge = await loadMfaChallenge(req.body.mfaToken);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check a TOTP or recovery code from a signed-in user, who gets
+ * MAX_MFA_ATTEMPTS wrong codes before being locked out for a while
+ * @param {Object} user - User with 2FA enabled, selected with
+ *   +twoFactor.secret +twoFactor.recoveryCodes
+ * @param {string} code - Code the user sent
+ * @returns {Promise<string>} "totp" or "recovery"
+ * @throws {RateLimitError} While the user is locked out
+ * @throws {AuthenticationError} When the code is wrong
+ */
+export const confirmSecondFactor = async (user, code) => {
+  const lockout = await getMfaLockout(user._id);
+  if (lockout > 0) {
+    throw new RateLimitError("Too many invalid codes, please try again later", {
+      code: "TOO_MANY_TWO_FACTOR_ATTEMPTS",
+      retryAfter: lockout,
+    });
+  }
+
+  const method = await checkSecondFactor(user, code);
+  if (!method) {
+    const attemptsRemaining = await recordUserMfaFailure(user._id);
+    throw new AuthenticationError(
+      attemptsRemaining === 0
+        ? "Too many invalid codes, please try again later"
+        : "Invalid authentication code",
+      { code: "INVALID_TWO_FACTOR_CODE", attemptsRemaining }
+    );
+  }
+
+  await resetUserMfaFailures(user._id);
+  return method;
+};
+
+/**
+ * Require a valid TOTP or recovery code in req.body.code from the user of
+ * the pending sign-in (after requireMfaChallenge) or the authenticated user.
+ * Sets req.twoFactorUser and req.twoFactorMethod ("totp" or "recovery").
+ * @returns {Function} Express middleware
+ */
+export const requireSecondFactor = async (req, res, next) => {
+  try {
+    const userId = req.mfaChallenge
+      ? req.mfaChallenge.userId
+      : req.user.userId;
+    const user = await User.findById(userId).select(
+      "+twoFactor.secret +twoFactor.recoveryCodes"
+    );
+    if (!user || !user.twoFactor.enabled) {
+      throw new ValidationError("Two-factor authentication is not enabled", {
+        code: "TWO_FACTOR_NOT_ENABLED",
+      });
+    }
+
+    if (!req.mfaChallenge) {
+      req.twoFactorUser = user;
+      req.twoFactorMethod = await confirmSecondFactor(user, req.body.code);
+      return next();
+    }
+
+    const method = await checkSecondFactor(user, req.body.code);
+    if (!method) {
+      // A wrong code at sign-in never reaches verifyTwoFactorLogin
+      loginAttempts.inc({ method: "two_factor", result: "failure" });
+      const attemptsRemaining = await recordMfaFailure(req.mfaChallenge.jti);
+      throw new AuthenticationError(
+        attemptsRemaining === 0
+          ? "Too many invalid codes, please log in again"
+          : "Invalid authentication code",
+        { code: "INVALID_TWO_FACTOR_CODE", attemptsRemaining }
+      );
+    }
+
+    req.twoFactorUser = user;
+    req.twoFactorMethod = method;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
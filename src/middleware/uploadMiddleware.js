@@ -0,0 +1,32 @@
+import express from "express";
+import { chunkSizeLimits } from "../config/multer.js";
+import { schemas } from "../config/schemas.js";
+import { FileRejectedError } from "../utils/fileInspector.js";
+import { documented } from "../utils/openapi.js";
+import { validate } from "./validationMiddleware.js";
+
+const MB = 1024 * 1024;
+
+export const validateDirectUpload = validate(schemas.uploads.direct);
+export const validateChunkedUpload = validate(schemas.uploads.chunked);
+export const validateUploadId = validate(schemas.uploads.id);
+
+const rawChunk = express.raw({ type: () => true, limit: chunkSizeLimits.max });
+
+// Reads a chunk's raw bytes into req.body
+export const parseChunk = (req, res, next) => {
+  rawChunk(req, res, (err) => {
+    if (err && err.type === "entity.too.large") {
+      return next(
+        new FileRejectedError(
+          `Chunk must not exceed ${chunkSizeLimits.max / MB} MB`,
+          413,
+          "LIMIT_CHUNK_SIZE",
+          "chunk"
+        )
+      );
+    }
+    next(err);
+  });
+};
+documented(parseChunk, { rawBody: "application/octet-stream" });
@@ -0,0 +1,8 @@
+import { schemas } from "../config/schemas.js";
+import { validate } from "./validationMiddleware.js";
+
+export const validateProfileUpdate = validate(schemas.users.updateProfile);
+export const validateChangePassword = validate(schemas.users.changePassword);
+export const validateChangeEmail = validate(schemas.users.changeEmail);
+export const validateDeleteAccount = validate(schemas.users.deleteAccount);
+export const validateUsername = validate(schemas.users.username);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Length rules shared with the request schemas in config/schemas.js
+export const POST_LIMITS = {
+  title: { min: 1, max: 150 },
+  content: { min: 1, max: 10000 },
+  images: { max: 5 }
+};
+
+// Stored image with its generated variants, as returned by uploadImage
+export const imageSchema = new mongoose.Schema({
+  url: String,
+  publicId: String,
+  width: Number,
+  height: Number,
+  variants: [{
+    _id: false,
+    name: String,
+    format: String,
+    url: String,
+    publicId: String,
+    width: Number,
+    height: Number
+  }]
+}, {
+  _id: false
+});
+
+const postSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: POST_LIMITS.title.min,
+    maxlength: POST_LIMITS.title.max
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: POST_LIMITS.content.min,
+    maxlength: POST_LIMITS.content.max
+  },
+  images: [imageSchema],
+  // Generated from the first image with the thumbnail preset
+  thumbnail: imageSchema
+}, {
+  timestamps: true
+});
+
+postSchema.index({ createdAt: -1 });
+// Backs ?search on the post listing
+postSchema.index({ title: 'text', content: 'text' });
+
+// Public IDs of every stored file of a post, variants included
+postSchema.statics.assetPublicIds = function ({ images = [], thumbnail }) {
+  return [...images, thumbnail]
+    .filter(Boolean)
+    .flatMap((image) => [
+      image.publicId,
+      ...(image.variants || []).map((variant) => variant.publicId)
+    ])
+    .filter(Boolean);
+};
+
+export default mongoose.model('Post', postSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import { imageSchema } from './Post.js';
+
+// A direct or chunked upload that was processed and stored, waiting for a
+// post or profile to claim it. Unclaimed uploads are deleted with their
+// files once they are older than the claim TTL (utils/completedUploads.js).
+const uploadSchema = new mongoose.Schema({
+  // The upload ID the client got from POST /uploads/sign or /uploads/chunked
+  _id: {
+    type: String
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  preset: {
+    type: String,
+    required: true
+  },
+  // MIME type of the stored original, for images derived from it later
+  contentType: String,
+  image: {
+    type: imageSchema,
+    required: true
+  },
+  claimed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Backs the sweep of unclaimed uploads
+uploadSchema.index({ claimed: 1, createdAt: 1 });
+
+export default mongoose.model('Upload', uploadSchema);
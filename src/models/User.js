@@ -1,20 +1,27 @@
 import mongoose from 'mongoose';
 
+// Length rules shared with the request schemas in config/schemas.js
+export const USER_LIMITS = {
+  name: { min: 2, max: 50 },
+  username: { min: 3, max: 30 },
+  password: { min: 8 }
+};
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true,
-    minlength: 2,
-    maxlength: 50
+    minlength: USER_LIMITS.name.min,
+    maxlength: USER_LIMITS.name.max
   },
   username: {
     type: String,
     required: true,
     unique: true,
     trim: true,
-    minlength: 3,
-    maxlength: 30,
+    minlength: USER_LIMITS.username.min,
+    maxlength: USER_LIMITS.username.max,
   },
   email: {
     type: String,
@@ -23,10 +30,14 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true,
   },
+  // Accounts created through an OAuth provider have no password until the
+  // user sets one with a password reset
   password: {
     type: String,
-    required: true,
-    minlength: 8,
+    required: function () {
+      return !this.oauthAccounts || this.oauthAccounts.length === 0;
+    },
+    minlength: USER_LIMITS.password.min,
     select: false
   },
   role: {
@@ -38,8 +49,99 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // New address awaiting verification; email changes once it is confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  profileImage: {
+    url: String,
+    publicId: String,
+    width: Number,
+    height: Number,
+    variants: [{
+      _id: false,
+      name: String,
+      format: String,
+      url: String,
+      publicId: String,
+      width: Number,
+      height: Number
+    }]
+  },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: {
+    type: Date
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication. The secrets are encrypted
+  // (utils/twoFactor.js) and recovery codes are stored as SHA-256 hashes.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set by setup and only becomes `secret` once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    }
+  },
+  // Identities at OAuth/OpenID Connect providers that sign in as this user
+  oauthAccounts: [{
+    _id: false,
+    provider: String,
+    subject: String,
+    email: String,
+    linkedAt: Date
+  }],
 }, {
   timestamps: true
 });
 
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } } }
+);
+
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,64 @@
+import express from "express";
+import {
+  demoteUser,
+  getUser,
+  listUsers,
+  promoteUser,
+  suspendUser,
+  unlockUser,
+  unsuspendUser,
+} from "../controllers/adminController.js";
+import {
+  validateUserId,
+  validateUserSearch,
+} from "../middleware/adminMiddleware.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+import { authorize, requirePermission } from "../middleware/roleMiddleware.js";
+const router = express.Router();
+
+router.use(authenticateToken, authorize("admin"));
+
+router.get(
+  "/users",
+  requirePermission("users:read"),
+  validateUserSearch,
+  listUsers
+);
+router.get(
+  "/users/:id",
+  requirePermission("users:read"),
+  validateUserId,
+  getUser
+);
+router.post(
+  "/users/:id/promote",
+  requirePermission("users:update-role"),
+  validateUserId,
+  promoteUser
+);
+router.post(
+  "/users/:id/demote",
+  requirePermission("users:update-role"),
+  validateUserId,
+  demoteUser
+);
+router.post(
+  "/users/:id/suspend",
+  requirePermission("users:suspend"),
+  validateUserId,
+  suspendUser
+);
+router.post(
+  "/users/:id/unsuspend",
+  requirePermission("users:suspend"),
+  validateUserId,
+  unsuspendUser
+);
+router.post(
+  "/users/:id/unlock",
+  requirePermission("users:unlock"),
+  validateUserId,
+  unlockUser
+);
+
+export default router;
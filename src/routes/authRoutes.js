@@ -1,23 +1,133 @@
 import express from "express";
-import { login, logout, register, uploadProfileImageHandler } from "../controllers/authController.js";
 import {
+  deleteProfileImageHandler,
+  forgotPassword,
+  login,
+  logout,
+  listOAuthProviders,
+  logoutAll,
+  oauthCallback,
+  refresh,
+  register,
+  resendVerification,
+  resetPassword,
+  startOAuthLogin,
+  uploadProfileImageHandler,
+  verifyEmail,
+  verifyTwoFactorLogin,
+} from "../controllers/authController.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  setupTwoFactor,
+} from "../controllers/twoFactorController.js";
+import {
+  authenticateEnrollment,
   authenticateToken,
+  validateEmail,
   validateLogin,
+  validateLogout,
+  validateOAuthCallback,
+  validateRefreshToken,
   validateRegistration,
-  validateSingleFileUpload,
+  validateOptionalFileUpload,
+  validateProfileImage,
+  validateResetPassword,
 } from "../middleware/authMiddleware.js";
 import { profileImageUpload } from "../config/multer.js";
+import {
+  loginLimiter,
+  passwordResetLimiter,
+  registerLimiter,
+  verificationLimiter,
+} from "../config/rate-limiter.js";
+import {
+  requireMfaChallenge,
+  requireSecondFactor,
+  validateTwoFactorCode,
+  validateTwoFactorVerify,
+} from "../middleware/twoFactorMiddleware.js";
+import { authorize } from "../middleware/roleMiddleware.js";
 const router = express.Router();
 
-router.post("/register", validateRegistration, register);
-router.post("/login", validateLogin, login);
+router.post("/register", registerLimiter, validateRegistration, register);
+router.post("/login", loginLimiter, validateLogin, login);
+router.post("/refresh", validateRefreshToken, refresh);
+router.post(
+  "/2fa/verify",
+  loginLimiter,
+  validateTwoFactorVerify,
+  requireMfaChallenge,
+  requireSecondFactor,
+  verifyTwoFactorLogin
+);
+router.get("/2fa", authenticateEnrollment, getTwoFactorStatus);
+router.post("/2fa/setup", authenticateEnrollment, setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  authenticateEnrollment,
+  validateTwoFactorCode,
+  enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  validateTwoFactorCode,
+  requireSecondFactor,
+  disableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  authenticateToken,
+  validateTwoFactorCode,
+  requireSecondFactor,
+  regenerateRecoveryCodes
+);
+router.get("/oauth/providers", listOAuthProviders);
+router.get("/oauth/:provider", startOAuthLogin);
+router.get(
+  "/oauth/:provider/callback",
+  loginLimiter,
+  validateOAuthCallback,
+  oauthCallback
+);
+router.get("/verify-email/:token", verifyEmail);
+router.post(
+  "/resend-verification",
+  verificationLimiter,
+  validateEmail,
+  resendVerification
+);
+router.post(
+  "/forgot-password",
+  passwordResetLimiter,
+  validateEmail,
+  forgotPassword
+);
+router.post(
+  "/reset-password",
+  passwordResetLimiter,
+  validateResetPassword,
+  resetPassword
+);
 router.put(
   "/update-profile-image",
   authenticateToken,
+  authorize(),
   profileImageUpload.single("profileImage"),
-  validateSingleFileUpload,
+  validateOptionalFileUpload,
+  validateProfileImage,
   uploadProfileImageHandler
 );
-router.post("/logout", authenticateToken, logout);
+router.delete(
+  "/profile-image",
+  authenticateToken,
+  authorize(),
+  deleteProfileImageHandler
+);
+router.post("/logout", authenticateToken, validateLogout, logout);
+router.post("/logout-all", authenticateToken, logoutAll);
 
 export default router;
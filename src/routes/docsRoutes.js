@@ -0,0 +1,62 @@
+import express from "express";
+import helmet from "helmet";
+import { openApiInfo, operations } from "../config/openapi.js";
+import { buildOpenApiSpec } from "../utils/openapi.js";
+import { apiRoutes } from "./index.js";
+const router = express.Router();
+
+const SWAGGER_UI_ORIGIN = "https://cdn.jsdelivr.net";
+const SWAGGER_UI = `${SWAGGER_UI_ORIGIN}/npm/swagger-ui-dist@5`;
+
+// Built on first request, once every router has its routes
+let spec;
+
+router.get("/openapi.json", (req, res) => {
+  spec =
+    spec ||
+    buildOpenApiSpec({ info: openApiInfo, routes: apiRoutes, operations });
+  res.status(200).json(spec);
+});
+
+// The app-wide policy only allows our own scripts, the docs page also
+// needs Swagger UI's
+const docsPolicy = helmet.contentSecurityPolicy({
+  directives: {
+    defaultSrc: ["'self'"],
+    scriptSrc: ["'self'", SWAGGER_UI_ORIGIN],
+    styleSrc: ["'self'", "'unsafe-inline'", SWAGGER_UI_ORIGIN],
+    imgSrc: ["'self'", "data:", "https:"],
+  },
+});
+
+router.get("/docs", docsPolicy, (req, res) => {
+  res.status(200).type("html").send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${openApiInfo.title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script src="${req.baseUrl}/docs/init.js"></script>
+  </body>
+</html>`);
+});
+
+// Served as a file rather than inline, so the policy needs no 'unsafe-inline'
+router.get("/docs/init.js", (req, res) => {
+  res
+    .status(200)
+    .type("js")
+    .send(
+      `SwaggerUIBundle(${JSON.stringify({
+        url: `${req.baseUrl}/openapi.json`,
+        dom_id: "#swagger-ui",
+        persistAuthorization: true,
+      })});`
+    );
+});
+
+export default router;
@@ -0,0 +1,15 @@
+import adminRoutes from "./adminRoutes.js";
+import authRoutes from "./authRoutes.js";
+import postRoutes from "./postRoutes.js";
+import uploadRoutes from "./uploadRoutes.js";
+import userRoutes from "./userRoutes.js";
+
+// Mount path of every API router. The OpenAPI document is built from the
+// same table, so a router mounted here is documented too.
+export const apiRoutes = {
+  "/api/v1/auth": authRoutes,
+  "/api/v1/admin": adminRoutes,
+  "/api/v1/posts": postRoutes,
+  "/api/v1/uploads": uploadRoutes,
+  "/api/v1/users": userRoutes,
+};
@@ -0,0 +1,11 @@
+import express from "express";
+import { requireMetricsToken } from "../middleware/metricsMiddleware.js";
+import { registry } from "../utils/metrics.js";
+const router = express.Router();
+
+// Prometheus scrape target, see app.js for where it is served
+router.get("/metrics", requireMetricsToken, (req, res) => {
+  res.status(200).type(registry.contentType).send(registry.render());
+});
+
+export default router;
@@ -0,0 +1,77 @@
+import express from "express";
+import {
+  createPost,
+  deletePost,
+  getPost,
+  listPosts,
+  updatePost,
+} from "../controllers/postController.js";
+import { postImageUpload } from "../config/multer.js";
+import {
+  authenticateToken,
+  validateFileUpload,
+} from "../middleware/authMiddleware.js";
+import { cache } from "../middleware/cacheMiddleware.js";
+import {
+  MAX_POST_IMAGES,
+  requirePostImages,
+  requirePostOwner,
+  validatePost,
+  validatePostId,
+  validatePostList,
+  validatePostUpdate,
+} from "../middleware/postMiddleware.js";
+import { authorize, requirePermission } from "../middleware/roleMiddleware.js";
+import { sanitizeXSS } from "../middleware/sanitizationMiddleware.js";
+const router = express.Router();
+
+const uploadPostImages = postImageUpload.array("images", MAX_POST_IMAGES);
+const validatePostFiles = validateFileUpload({
+  multiple: true,
+  maxFiles: MAX_POST_IMAGES,
+  required: false,
+});
+
+router.get("/", validatePostList, listPosts);
+router.get(
+  "/:id",
+  validatePostId,
+  cache({ ttl: 60, tags: (req) => [`post:${req.params.id}`] }),
+  getPost
+);
+// Multipart fields are parsed after the global sanitizers ran, so the body
+// is sanitized again once multer has filled it in
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("posts:create"),
+  uploadPostImages,
+  sanitizeXSS,
+  validatePostFiles,
+  validatePost,
+  requirePostImages({ required: true }),
+  createPost
+);
+router.put(
+  "/:id",
+  authenticateToken,
+  authorize(),
+  validatePostId,
+  requirePostOwner,
+  uploadPostImages,
+  sanitizeXSS,
+  validatePostFiles,
+  validatePostUpdate,
+  requirePostImages({ required: false }),
+  updatePost
+);
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorize(),
+  validatePostId,
+  requirePostOwner,
+  deletePost
+);
+
+export default router;
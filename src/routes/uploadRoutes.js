@@ -0,0 +1,43 @@
+import express from "express";
+import {
+  abortChunkedUpload,
+  completeChunkedUpload,
+  completeDirectUpload,
+  getChunkedUploadStatus,
+  signUpload,
+  startChunkedUpload,
+  uploadChunk,
+} from "../controllers/uploadController.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+import { authorize } from "../middleware/roleMiddleware.js";
+import {
+  parseChunk,
+  validateChunkedUpload,
+  validateDirectUpload,
+  validateUploadId,
+} from "../middleware/uploadMiddleware.js";
+const router = express.Router();
+
+router.use(authenticateToken, authorize());
+
+// Direct uploads: sign, upload straight to storage, then confirm
+router.post("/sign", validateDirectUpload, signUpload);
+router.post("/:uploadId/complete", validateUploadId, completeDirectUpload);
+
+// Resumable chunked uploads
+router.post("/chunked", validateChunkedUpload, startChunkedUpload);
+router.get("/chunked/:uploadId", validateUploadId, getChunkedUploadStatus);
+router.put(
+  "/chunked/:uploadId/chunks/:index",
+  validateUploadId,
+  parseChunk,
+  uploadChunk
+);
+router.post(
+  "/chunked/:uploadId/complete",
+  validateUploadId,
+  completeChunkedUpload
+);
+router.delete("/chunked/:uploadId", validateUploadId, abortChunkedUpload);
+
+export default router;
@@ -0,0 +1,61 @@
+import express from "express";
+import {
+  changeEmail,
+  changePassword,
+  deleteMe,
+  getMe,
+  getPublicProfile,
+  updateMe,
+} from "../controllers/userController.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+import { cache } from "../middleware/cacheMiddleware.js";
+import { authorize, requirePermission } from "../middleware/roleMiddleware.js";
+import {
+  validateChangeEmail,
+  validateChangePassword,
+  validateDeleteAccount,
+  validateProfileUpdate,
+  validateUsername,
+} from "../middleware/userMiddleware.js";
+const router = express.Router();
+
+router.get("/me", authenticateToken, requirePermission("profile:read"), getMe);
+router.patch(
+  "/me",
+  authenticateToken,
+  requirePermission("profile:update"),
+  validateProfileUpdate,
+  updateMe
+);
+router.put(
+  "/me/password",
+  authenticateToken,
+  requirePermission("profile:update"),
+  validateChangePassword,
+  changePassword
+);
+router.put(
+  "/me/email",
+  authenticateToken,
+  requirePermission("profile:update"),
+  validateChangeEmail,
+  changeEmail
+);
+router.delete(
+  "/me",
+  authenticateToken,
+  authorize(),
+  validateDeleteAccount,
+  deleteMe
+);
+router.get(
+  "/:username",
+  validateUsername,
+  cache({
+    ttl: 60,
+    tags: (req, res) => (res.locals.userId ? [`user:${res.locals.userId}`] : []),
+  }),
+  getPublicProfile
+);
+
+export default router;
@@ -0,0 +1,109 @@
+import Upload from "../models/Upload.js";
+import { deleteImage } from "../config/storage/index.js";
+import { ValidationError } from "./errorHandler.js";
+import { logger } from "./logger.js";
+import { uploadSessions } from "./uploadSessions.js";
+
+const SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const SWEEP_BATCH = 100;
+
+/**
+ * Record a processed direct or chunked upload until a post or profile
+ * claims it. Its files are deleted if that doesn't happen within claimTtl.
+ * @param {string} id - Upload ID
+ * @param {Object} upload - { owner, preset, contentType, image }
+ * @returns {Promise<Object>} Upload document
+ */
+export const recordCompletedUpload = (id, upload) =>
+  Upload.create({ _id: id, ...upload });
+
+/**
+ * Give back uploads claimed by claimUploads, e.g. when the post they were
+ * meant for couldn't be saved
+ * @param {Object[]} uploads - Claimed upload documents
+ * @returns {Promise<void>}
+ */
+export const releaseUploads = async (uploads) => {
+  if (uploads.length === 0) return;
+  await Upload.updateMany(
+    { _id: { $in: uploads.map((upload) => upload._id) } },
+    { claimed: false }
+  );
+};
+
+/**
+ * Claim completed uploads of one owner and preset, in order. Each upload
+ * can be claimed once; if any can't be, none are.
+ * @param {string[]} ids - Upload IDs
+ * @param {Object} options - Who claims them and for what
+ * @param {string} options.owner - ID of the user who made the uploads
+ * @param {string} options.preset - Preset they must have been processed with
+ * @returns {Promise<Object[]>} Upload documents ({ image, contentType, ... })
+ * @throws {ValidationError} When an upload is unknown, someone else's, of
+ *   another preset or already used
+ */
+export const claimUploads = async (ids, { owner, preset }) => {
+  const claimed = [];
+  try {
+    for (const id of ids) {
+      const upload = await Upload.findOneAndUpdate(
+        { _id: id, owner, preset, claimed: false },
+        { claimed: true },
+        { new: true }
+      );
+      if (!upload) {
+        throw new ValidationError("Validation failed", {
+          code: "UPLOAD_NOT_FOUND",
+          errors: [`Upload ${id} doesn't exist, has expired or was already used`],
+        });
+      }
+      claimed.push(upload);
+    }
+    return claimed;
+  } catch (error) {
+    await releaseUploads(claimed);
+    throw error;
+  }
+};
+
+/**
+ * Delete uploads that weren't claimed within claimTtl, together with their
+ * files. Each record is removed before its files, so an upload claimed
+ * during the sweep never points at deleted files.
+ * @returns {Promise<number>} Number of uploads deleted
+ */
+export const sweepUnclaimedUploads = async () => {
+  const cutoff = new Date(Date.now() - uploadSessions.config.claimTtl * 1000);
+  let swept = 0;
+
+  for (;;) {
+    const stale = await Upload.find({ claimed: false, createdAt: { $lt: cutoff } })
+      .select("_id")
+      .limit(SWEEP_BATCH);
+    for (const { _id } of stale) {
+      const upload = await Upload.findOneAndDelete({ _id, claimed: false });
+      if (!upload) continue;
+      await deleteImage(upload.image).catch((error) => {
+        logger.warn(`Failed to delete files of unclaimed upload ${_id}: ${error.message}`);
+      });
+      swept += 1;
+    }
+    if (stale.length < SWEEP_BATCH) return swept;
+  }
+};
+
+/**
+ * Run sweepUnclaimedUploads every hour
+ * @returns {NodeJS.Timeout} The interval, which doesn't keep the process alive
+ */
+export const startUploadSweeper = () => {
+  const sweep = () =>
+    sweepUnclaimedUploads()
+      .then((swept) => {
+        if (swept > 0) logger.info(`Deleted ${swept} unclaimed uploads`);
+      })
+      .catch((error) => {
+        logger.error(`Sweeping unclaimed uploads failed: ${error.message}`);
+      });
+  return setInterval(sweep, SWEEP_INTERVAL).unref();
+};
@@ -1,29 +1,54 @@
 import md5 from "md5";
-import { redisA, redisB } from "../config/redis.js";
+import { redisNodes } from "../config/redis.js";
 
-class ConsistentHash {
+const HASH_SPACE = 0x100000000; // hash() returns 32-bit positions
+
+// Clients without a readiness flag (e.g. in-memory stand-ins) count as healthy
+const defaultIsHealthy = ({ client }) => client.isReady !== false;
+
+export class ConsistentHash {
   constructor(servers, options = {}) {
-    this.servers = servers;
+    this.servers = [];
     this.replicas = options.replicas || 10;
+    this.isHealthy = options.isHealthy || defaultIsHealthy;
     this.sortedKeys = [];
-    this.servers.forEach((element) => {
+    servers.forEach((element) => {
       this.addServer(element);
     });
-    this.sortedKeys.sort((a, b) => a.pos - b.pos);
   }
   hash(key) {
     return parseInt(md5(key).slice(0, 8), 16);
   }
-  addServer({ name, client }) {
-    for (let i = 0; i < this.replicas; i++) {
+  // A node gets `replicas * weight` virtual nodes on the ring
+  addServer({ name, client, weight = 1 }) {
+    if (this.servers.some((server) => server.name === name)) {
+      throw new Error(`Server ${name} is already in the ring`);
+    }
+    this.servers.push({ name, client, weight });
+    const virtualNodes = Math.max(Math.round(this.replicas * weight), 1);
+    for (let i = 0; i < virtualNodes; i++) {
       const serverKey = `${name}:${i}`;
       const hash = this.hash(serverKey);
       this.sortedKeys.push({ name, client, pos: hash });
     }
+    this.sortedKeys.sort((a, b) => a.pos - b.pos);
   }
-  getServer(key) {
-    if (this.sortedKeys.length === 0) return null;
-    const hash = this.hash(key);
+  removeServer(name) {
+    const before = this.servers.length;
+    this.servers = this.servers.filter((server) => server.name !== name);
+    this.sortedKeys = this.sortedKeys.filter((node) => node.name !== name);
+    return this.servers.length < before;
+  }
+  setWeight(name, weight) {
+    const server = this.servers.find((element) => element.name === name);
+    if (!server) {
+      throw new Error(`Server ${name} is not in the ring`);
+    }
+    this.removeServer(name);
+    this.addServer({ ...server, weight });
+  }
+  // Index of the first virtual node at or after a position, wrapping to 0
+  findIndex(hash) {
     let low = 0,
       high = this.sortedKeys.length - 1,
       ans = 0;
@@ -36,17 +61,138 @@ class ConsistentHash {
         low = mid + 1;
       }
     }
-    return {
-      name: this.sortedKeys[ans].name,
-      client: this.sortedKeys[ans].client,
-    };
+    return ans;
+  }
+  // Owner of a key by ring position alone, ignoring health
+  getPrimary(key) {
+    if (this.sortedKeys.length === 0) return null;
+    const { name, client } = this.sortedKeys[this.findIndex(this.hash(key))];
+    return { name, client };
+  }
+  // The first `count` distinct nodes clockwise from a key (primary first),
+  // ignoring health. Used to place replicas.
+  getServers(key, count = 1) {
+    if (this.sortedKeys.length === 0) return [];
+    const start = this.findIndex(this.hash(key));
+    const found = [];
+    const seen = new Set();
+    for (
+      let i = 0;
+      i < this.sortedKeys.length && found.length < count;
+      i++
+    ) {
+      const node = this.sortedKeys[(start + i) % this.sortedKeys.length];
+      if (seen.has(node.name)) continue;
+      seen.add(node.name);
+      found.push({ name: node.name, client: node.client });
+    }
+    return found;
+  }
+  // Owner of a key, skipping unhealthy nodes clockwise. When no node is
+  // healthy the primary is returned so callers see the real connection error.
+  getServer(key) {
+    if (this.sortedKeys.length === 0) return null;
+    const start = this.findIndex(this.hash(key));
+    const tried = new Set();
+    for (
+      let i = 0;
+      i < this.sortedKeys.length && tried.size < this.servers.length;
+      i++
+    ) {
+      const node = this.sortedKeys[(start + i) % this.sortedKeys.length];
+      if (tried.has(node.name)) continue;
+      tried.add(node.name);
+      if (this.isHealthy(node)) {
+        return { name: node.name, client: node.client };
+      }
+    }
+    const { name, client } = this.sortedKeys[start];
+    return { name, client };
+  }
+  clone() {
+    return new ConsistentHash(this.servers, {
+      replicas: this.replicas,
+      isHealthy: this.isHealthy,
+    });
   }
 }
 
-const servers = [
-  { name: "RedisA", client: redisA },
-  { name: "RedisB", client: redisB },
-];
-export const hashRing = new ConsistentHash(servers, {
+/**
+ * List the keys whose owner differs between two ring topologies
+ * @param {ConsistentHash} before - Ring before the change
+ * @param {ConsistentHash} after - Ring after the change
+ * @param {string[]} keys - Keys to check
+ * @returns {Object[]} Moved keys ({ key, from, to })
+ */
+export const getMovedKeys = (before, after, keys) =>
+  keys
+    .map((key) => ({
+      key,
+      from: before.getPrimary(key)?.name ?? null,
+      to: after.getPrimary(key)?.name ?? null,
+    }))
+    .filter(({ from, to }) => from !== to);
+
+/**
+ * Report which hash ranges change owner between two ring topologies, e.g.
+ * before adding or removing a node:
+ *   const after = hashRing.clone();
+ *   after.addServer({ name: "RedisC", client });
+ *   getMovedRanges(hashRing, after);
+ * @param {ConsistentHash} before - Ring before the change
+ * @param {ConsistentHash} after - Ring after the change
+ * @returns {{ranges: Object[], movedFraction: number}} Inclusive ranges
+ *   ({ start, end, from, to }) and the share of the key space that moves
+ */
+export const getMovedRanges = (before, after) => {
+  const ownerAt = (ring, pos) =>
+    ring.sortedKeys.length === 0
+      ? null
+      : ring.sortedKeys[ring.findIndex(pos)].name;
+
+  const positions = [
+    ...new Set([
+      ...before.sortedKeys.map((node) => node.pos),
+      ...after.sortedKeys.map((node) => node.pos),
+    ]),
+  ].sort((a, b) => a - b);
+  if (positions.length === 0) return { ranges: [], movedFraction: 0 };
+
+  // Every hash in (previous position, position] has the same owner in both
+  // rings; the arc after the last position wraps around to the first one.
+  const arcs = [];
+  const last = positions[positions.length - 1];
+  if (last < HASH_SPACE - 1) {
+    arcs.push({ start: last + 1, end: HASH_SPACE - 1, probe: positions[0] });
+  }
+  positions.forEach((pos, i) => {
+    const start = i === 0 ? 0 : positions[i - 1] + 1;
+    arcs.push({ start, end: pos, probe: pos });
+  });
+
+  const ranges = [];
+  for (const { start, end, probe } of arcs) {
+    const from = ownerAt(before, probe);
+    const to = ownerAt(after, probe);
+    if (from === to) continue;
+    const previous = ranges[ranges.length - 1];
+    if (
+      previous &&
+      previous.end + 1 === start &&
+      previous.from === from &&
+      previous.to === to
+    ) {
+      previous.end = end;
+    } else {
+      ranges.push({ start, end, from, to });
+    }
+  }
+  ranges.sort((a, b) => a.start - b.start);
+
+  const moved = ranges.reduce((sum, { start, end }) => sum + end - start + 1, 0);
+  return { ranges, movedFraction: moved / HASH_SPACE };
+};
+
+export const hashRing = new ConsistentHash(redisNodes, {
   replicas: 10,
 });
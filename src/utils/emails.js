@@ -0,0 +1,75 @@
+import { sendMail } from "../config/mailer.js";
+import { logger } from "./logger.js";
+import { generateOneTimeToken } from "./tokenService.js";
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const baseUrl = () => process.env.BASE_URL || "http://localhost:3000";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Names are user input; escaped so they can't add markup or links to our mail
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Send the email verification link to a user. A pending email change is
+ * verified at the new address.
+ * @param {Object} user - User document (needs name and email)
+ * @param {string} token - Plain verification token
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendVerificationEmail = (user, token) => {
+  const link = `${baseUrl()}/api/v1/auth/verify-email/${token}`;
+  const name = escapeHtml(user.name);
+  const href = escapeHtml(link);
+  return sendMail({
+    to: user.pendingEmail || user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening the link below:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${name},</p><p>Please verify your email address by opening the link below:</p><p><a href="${href}">${href}</a></p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+/**
+ * Send the password reset link to a user
+ * @param {Object} user - User document (needs name and email)
+ * @param {string} token - Plain reset token
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendPasswordResetEmail = (user, token) => {
+  const link = `${baseUrl()}/reset-password?token=${token}`;
+  const name = escapeHtml(user.name);
+  const href = escapeHtml(link);
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThe link expires in 1 hour. If you didn't request this, you can ignore this email.`,
+    html: `<p>Hi ${name},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${href}">${href}</a></p><p>The link expires in 1 hour. If you didn't request this, you can ignore this email.</p>`,
+  });
+};
+
+/**
+ * Issue a fresh verification token (invalidating any previous one) and mail it.
+ * Mail failures are logged rather than thrown so they never fail the request.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+export const startEmailVerification = async (user) => {
+  const { token, hash } = generateOneTimeToken();
+  user.emailVerificationToken = hash;
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  await user.save();
+
+  try {
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error(`Failed to send verification email to user ${user._id}: ${error.message}`);
+  }
+};
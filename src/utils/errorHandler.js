@@ -1,14 +1,228 @@
+import http from "http";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import multer from "multer";
+import { logger } from "./logger.js";
+
+const DEFAULT_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  408: "REQUEST_TIMEOUT",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  423: "LOCKED",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  502: "BAD_GATEWAY",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+/**
+ * Base class of every error that is safe to show to clients. Each one
+ * renders as an RFC 7807 problem with a stable machine-readable `code`.
+ *
+ *   throw new AppError("Identity provider is unreachable", 502);
+ *   throw new NotFoundError("Post not found");
+ *
+ * @param {string} message - Human-readable detail
+ * @param {number} statusCode - HTTP status (default: 500)
+ * @param {Object} options - { code, ...extensions }; extensions are added
+ *   to the problem body as extra members
+ */
 export class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode = 500, { code, ...extensions } = {}) {
     super(message);
+    this.name = new.target.name;
     this.statusCode = statusCode;
+    this.code = code || DEFAULT_CODES[statusCode] || "ERROR";
+    this.extensions = extensions;
+  }
+}
+
+/** 400: the request failed validation. `errors` lists each problem. */
+export class ValidationError extends AppError {
+  constructor(message = "Validation failed", options = {}) {
+    super(message, 400, { code: "VALIDATION_FAILED", ...options });
+  }
+}
+
+/** 401: no credentials, or credentials that aren't valid */
+export class AuthenticationError extends AppError {
+  constructor(message = "Authentication required", options = {}) {
+    super(message, 401, { code: "UNAUTHENTICATED", ...options });
+  }
+}
+
+/** 403: authenticated, but not allowed to do this */
+export class ForbiddenError extends AppError {
+  constructor(message = "Insufficient permissions", options = {}) {
+    super(message, 403, { code: "FORBIDDEN", ...options });
+  }
+}
+
+/** 404: the resource doesn't exist (or the caller may not know it does) */
+export class NotFoundError extends AppError {
+  constructor(message = "Resource not found", options = {}) {
+    super(message, 404, { code: "NOT_FOUND", ...options });
+  }
+}
+
+/** 409: the request conflicts with the current state, e.g. a taken name */
+export class ConflictError extends AppError {
+  constructor(message = "Resource already exists", options = {}) {
+    super(message, 409, { code: "CONFLICT", ...options });
+  }
+}
+
+/**
+ * 429 (or 423 for locked accounts): too many attempts. `retryAfter` in
+ * seconds is sent as the Retry-After header and in the body.
+ */
+export class RateLimitError extends AppError {
+  constructor(message = "Too many requests", options = {}) {
+    const { statusCode = 429, ...rest } = options;
+    super(message, statusCode, { code: "RATE_LIMITED", ...rest });
   }
 }
 
+const multerStatus = (code) =>
+  ["LIMIT_FILE_SIZE", "LIMIT_FIELD_VALUE"].includes(code) ? 413 : 400;
+
+/**
+ * Turn any thrown value into an AppError. Known library errors get their
+ * proper status; anything else becomes a generic 500 so internals never
+ * reach the client.
+ * @param {Error} err - Error passed to next() or thrown
+ * @returns {AppError}
+ */
+export const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err && err.isJoi) {
+    return new ValidationError("Validation failed", {
+      errors: err.details.map((detail) => detail.message),
+    });
+  }
+
+  if (err instanceof multer.MulterError) {
+    return new AppError(err.message, multerStatus(err.code), {
+      code: err.code,
+      errors: [{ field: err.field, code: err.code, message: err.message }],
+    });
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError("Validation failed", {
+      errors: Object.values(err.errors).map((error) => error.message),
+    });
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid ${err.path}`, {
+      code: "INVALID_VALUE",
+    });
+  }
+
+  // MongoServerError for a unique index
+  if (err && err.code === 11000) {
+    const field = Object.keys(err.keyValue || err.keyPattern || {})[0];
+    return new ConflictError(
+      field ? `${field} already exists` : "Resource already exists",
+      { code: "DUPLICATE_KEY", ...(field && { field }) }
+    );
+  }
+
+  // TokenExpiredError extends JsonWebTokenError, so it goes first
+  if (err instanceof jwt.TokenExpiredError) {
+    return new AuthenticationError("Token has expired", {
+      code: "TOKEN_EXPIRED",
+    });
+  }
+  if (
+    err instanceof jwt.JsonWebTokenError ||
+    err instanceof jwt.NotBeforeError
+  ) {
+    return new AuthenticationError("Invalid token", { code: "INVALID_TOKEN" });
+  }
+
+  // body-parser and other http-errors style errors meant for the client
+  if (err && err.type === "entity.too.large") {
+    return new AppError("Request body is too large", 413);
+  }
+  if (err && err.type === "entity.parse.failed") {
+    return new ValidationError("Request body is not valid JSON", {
+      code: "MALFORMED_BODY",
+    });
+  }
+  const status = err && (err.statusCode || err.status);
+  if (err && err.expose && status >= 400 && status < 500) {
+    return new AppError(err.message, status);
+  }
+
+  return new AppError("Internal Server Error", 500);
+};
+
+/**
+ * Render an error as an RFC 7807 problem
+ * @param {AppError} error - Normalized error
+ * @param {Object} req - Express request
+ * @param {Error} original - Error as thrown, for the stack trace
+ * @returns {Object} application/problem+json body
+ */
+export const toProblem = (error, req, original = error) => ({
+  type: "about:blank",
+  title: http.STATUS_CODES[error.statusCode] || "Error",
+  status: error.statusCode,
+  detail: error.message,
+  instance: req.originalUrl,
+  code: error.code,
+  ...error.extensions,
+  ...(process.env.NODE_ENV !== "production" &&
+    original.stack && { stack: original.stack.split("\n") }),
+});
+
+/**
+ * Send a problem response. For middleware that has to answer outside the
+ * normal next(error) flow (e.g. timeouts).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} err - Any error
+ */
+export const sendProblem = (req, res, err) => {
+  const error = normalizeError(err);
+  if (error.extensions.retryAfter) {
+    res.set("Retry-After", String(error.extensions.retryAfter));
+  }
+  res
+    .status(error.statusCode)
+    .type("application/problem+json")
+    .send(JSON.stringify(toProblem(error, req, err)));
+};
+
+export const notFoundHandler = (req, res, next) => {
+  next(
+    new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, {
+      code: "ROUTE_NOT_FOUND",
+    })
+  );
+};
+
 export const globalErrorHandler = (err, req, res, next) => {
-  logger.error(err.message);
-  res.status(err.status || 500).json({
-    status: "error",
-    message: err.message || "Internal Server Error",
-  });
-}
\ No newline at end of file
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = normalizeError(err);
+  if (error.statusCode >= 500) {
+    logger.error(`${req.method} ${req.originalUrl}: ${err.stack || err}`);
+  } else {
+    logger.warn(
+      `${req.method} ${req.originalUrl}: ${error.statusCode} ${error.code}`
+    );
+  }
+
+  sendProblem(req, res, err);
+};
@@ -0,0 +1,163 @@
+import sharp from "sharp";
+import { AppError } from "./errorHandler.js";
+
+// Magic numbers of the image types we accept: [offset, bytes]
+const signatures = [
+  { mimeType: "image/jpeg", parts: [[0, [0xff, 0xd8, 0xff]]] },
+  {
+    mimeType: "image/png",
+    parts: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]],
+  },
+  {
+    mimeType: "image/webp",
+    parts: [
+      [0, [0x52, 0x49, 0x46, 0x46]], // RIFF
+      [8, [0x57, 0x45, 0x42, 0x50]], // WEBP
+    ],
+  },
+  { mimeType: "image/gif", parts: [[0, [0x47, 0x49, 0x46, 0x38]]] }, // GIF8
+  {
+    mimeType: "image/avif",
+    parts: [
+      [4, [0x66, 0x74, 0x79, 0x70]], // ftyp
+      [8, [0x61, 0x76, 0x69, 0x66]], // avif
+    ],
+  },
+];
+
+const sharpFormats = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/avif": "avif",
+};
+
+/**
+ * A file that was refused, rendered with the form field it came from:
+ * errors: [{ field, code, message }]
+ * @param {string} message - Client-facing reason
+ * @param {number} statusCode - HTTP status (413 for size, 415 for type)
+ * @param {string} code - Machine-readable reason, e.g. LIMIT_FILE_SIZE
+ * @param {string} field - Form field or upload part (default: "file")
+ */
+export class FileRejectedError extends AppError {
+  constructor(message, statusCode, code, field = "file") {
+    super(message, statusCode, {
+      code,
+      errors: [{ field, code, message }],
+    });
+  }
+}
+
+/**
+ * Detect an image type from the file's leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if unrecognised
+ */
+export const detectImageType = (buffer) => {
+  const match = signatures.find(({ parts }) =>
+    parts.every(([offset, bytes]) =>
+      bytes.every((byte, i) => buffer[offset + i] === byte)
+    )
+  );
+  return match ? match.mimeType : null;
+};
+
+let virusScanner = null;
+
+/**
+ * Set the scanner every upload is checked with (e.g. a ClamAV client)
+ * @param {Object|null} scanner - Object with an async scan(buffer, file)
+ *   method resolving to { clean: boolean, reason?: string }
+ */
+export const setVirusScanner = (scanner) => {
+  virusScanner = scanner;
+};
+
+/**
+ * Verify and sanitize an uploaded image: confirm its type from the bytes,
+ * enforce pixel limits, run the virus scanner and strip EXIF/GPS metadata
+ * @param {Object} file - Multer file (buffer, mimetype, originalname)
+ * @param {Object} options - Inspection options
+ * @param {string[]} options.allowedMimeTypes - Accepted image types
+ * @param {string} options.errorMessage - Message for unsupported types
+ * @param {number} options.maxWidth - Maximum width in pixels
+ * @param {number} options.maxHeight - Maximum height in pixels
+ * @param {number} options.maxPixels - Maximum width * height
+ * @param {boolean} options.stripMetadata - Re-encode without metadata
+ * @param {Object} options.scanner - Overrides the global virus scanner
+ * @returns {Promise<Object>} The file with sanitized buffer, size and real mimetype
+ * @throws {FileRejectedError} 415 for unsupported types, 400 otherwise
+ */
+export const inspectImage = async (file, options) => {
+  const mimeType = detectImageType(file.buffer);
+  // image/jpg is a common alias in allow lists
+  const allowed = options.allowedMimeTypes.map((type) =>
+    type === "image/jpg" ? "image/jpeg" : type
+  );
+  if (!mimeType || !allowed.includes(mimeType)) {
+    throw new FileRejectedError(
+      options.errorMessage,
+      415,
+      "UNSUPPORTED_FILE_TYPE"
+    );
+  }
+
+  let metadata;
+  try {
+    // Reads the header only; limitInputPixels stops decompression bombs
+    metadata = await sharp(file.buffer, {
+      limitInputPixels: options.maxPixels,
+    }).metadata();
+  } catch (error) {
+    throw new FileRejectedError("File is not a valid image", 400, "INVALID_IMAGE");
+  }
+
+  const { width = 0, height = 0 } = metadata;
+  if (
+    width > options.maxWidth ||
+    height > options.maxHeight ||
+    width * height > options.maxPixels
+  ) {
+    throw new FileRejectedError(
+      `Image dimensions must not exceed ${options.maxWidth}x${options.maxHeight} pixels`,
+      400,
+      "IMAGE_TOO_LARGE"
+    );
+  }
+
+  const scanner = options.scanner || virusScanner;
+  if (scanner) {
+    const verdict = await scanner.scan(file.buffer, file);
+    if (!verdict.clean) {
+      throw new FileRejectedError(
+        "File failed the virus scan",
+        400,
+        "FILE_INFECTED"
+      );
+    }
+  }
+
+  let buffer = file.buffer;
+  if (options.stripMetadata) {
+    // sharp drops EXIF/GPS unless asked to keep it; rotate() bakes in the
+    // EXIF orientation first so the image doesn't turn sideways
+    buffer = await sharp(file.buffer, {
+      limitInputPixels: options.maxPixels,
+      animated: mimeType === "image/gif" || mimeType === "image/webp",
+    })
+      .rotate()
+      .toFormat(sharpFormats[mimeType], { quality: 95 })
+      .toBuffer();
+  }
+
+  return {
+    ...file,
+    buffer,
+    size: buffer.length,
+    mimetype: mimeType,
+    width,
+    height,
+  };
+};
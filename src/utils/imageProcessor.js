@@ -0,0 +1,73 @@
+import sharp from "sharp";
+
+// Cloudinary crop modes mapped to sharp resize options
+const cropModes = {
+  fill: { fit: "cover" },
+  limit: { fit: "inside", withoutEnlargement: true },
+  fit: { fit: "inside" },
+  scale: { fit: "fill" },
+  pad: { fit: "contain" },
+};
+
+// Cloudinary quality keywords mapped to encoder quality
+const qualityLevels = {
+  auto: 80,
+  best: 95,
+  good: 80,
+  eco: 60,
+  low: 40,
+};
+
+const formats = {
+  "image/jpeg": "jpeg",
+  "image/jpg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/avif": "avif",
+};
+
+export const mimeTypeFor = (format) =>
+  format === "jpeg" || format === "jpg" ? "image/jpeg" : `image/${format}`;
+
+/**
+ * Resize and re-encode an image the way the Cloudinary transformation
+ * options would
+ * @param {Buffer} fileBuffer - Source image
+ * @param {Object} options - Transformation options
+ * @param {number} options.width - Target/maximum width
+ * @param {number} options.height - Target/maximum height
+ * @param {string} options.crop - Crop mode (fill, limit, fit, scale, pad)
+ * @param {string|number} options.quality - Quality keyword or 1-100
+ * @param {string} options.format - Output format (default: same as input)
+ * @param {string} options.contentType - MIME type of the input
+ * @returns {Promise<{buffer: Buffer, width: number, height: number, format: string, contentType: string}>}
+ */
+export const transformImage = async (fileBuffer, options = {}) => {
+  const format =
+    options.format || formats[options.contentType] || "jpeg";
+  const quality =
+    typeof options.quality === "number"
+      ? options.quality
+      : qualityLevels[options.quality] || qualityLevels.auto;
+
+  let pipeline = sharp(fileBuffer).rotate(); // Honour EXIF orientation
+  if (options.width || options.height) {
+    pipeline = pipeline.resize({
+      width: options.width,
+      height: options.height,
+      ...(cropModes[options.crop] || cropModes.limit),
+    });
+  }
+
+  const { data, info } = await pipeline
+    .toFormat(format, { quality })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.height,
+    format: info.format,
+    contentType: mimeTypeFor(info.format),
+  };
+};
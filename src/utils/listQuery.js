@@ -0,0 +1,244 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { validate as validateRequest } from "../middleware/validationMiddleware.js";
+import { documented } from "./openapi.js";
+
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isPrimitive = (value) =>
+  ["string", "number", "boolean"].includes(typeof value);
+
+// Cursors are opaque to clients: base64url JSON of the sort they belong to
+// and the sort value and _id of the last document on the page
+const encodeCursor = (sort, doc, field) => {
+  const value = doc.get ? doc.get(field) : doc[field];
+  const payload = {
+    s: sort,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    return null;
+  }
+  // Only plain values may reach the query, never operator objects
+  if (
+    !payload ||
+    payload.s !== sort ||
+    !mongoose.isValidObjectId(payload.id) ||
+    (payload.v !== null && !isPrimitive(payload.v))
+  ) {
+    return null;
+  }
+  // Dates travel as ISO strings; anything else would be an Invalid Date
+  const value = payload.d ? new Date(payload.v) : payload.v;
+  if (
+    payload.d &&
+    (typeof payload.v !== "string" || Number.isNaN(value.getTime()))
+  ) {
+    return null;
+  }
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+// Documents after the cursor in (field, _id) order
+const afterCursor = (field, direction, { value, id }) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  if (field === "_id") return { _id: { [op]: id } };
+  return {
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+  };
+};
+
+const buildFilterSchema = ({ schema, range }) =>
+  range
+    ? Joi.alternatives(
+        schema,
+        Joi.object(
+          Object.fromEntries(RANGE_OPERATORS.map((op) => [op, schema]))
+        ).min(1)
+      )
+    : schema;
+
+// Matches "a", "a,b", ... where every name is one of `fields`
+const fieldListPattern = (fields) => {
+  const name = `(${fields.map(escapeRegex).join("|")})`;
+  return new RegExp(`^${name}(,${name})*$`);
+};
+
+const toMongoCondition = (value) =>
+  value !== null && typeof value === "object" && !(value instanceof Date)
+    ? Object.fromEntries(
+        Object.entries(value).map(([op, operand]) => [`$${op}`, operand])
+      )
+    : value;
+
+/**
+ * Create a cursor-paginated list query for a Mongoose model. Clients may only
+ * sort, filter and project on the fields whitelisted here.
+ *
+ *   const postList = createListQuery(Post, {
+ *     sortFields: ["createdAt", "title"],
+ *     filters: { author: { schema: objectIdSchema } },
+ *     search: { fields: ["title"] },
+ *   });
+ *   router.get("/", postList.validate, async (req, res) => {
+ *     res.json({ success: true, ...(await postList.find(req.listQuery)) });
+ *   });
+ *
+ * @param {mongoose.Model} Model - Model to query
+ * @param {Object} options - Query configuration
+ * @param {string[]} options.sortFields - Fields clients may sort on. Use
+ *   fields every document has; ties are broken by _id.
+ * @param {string} options.defaultSort - Default sort, "-" for descending
+ *   (default: "-createdAt")
+ * @param {Object} options.filters - Query parameter name to { field, schema,
+ *   range }. `field` defaults to the parameter name, `schema` is the Joi
+ *   schema of a value and `range` also accepts gt/gte/lt/lte operators,
+ *   e.g. ?createdAt[gte]=2024-01-01
+ * @param {string[]} options.fields - Fields clients may request with
+ *   ?fields=a,b (all fields when omitted)
+ * @param {string} options.defaultFields - Projection when ?fields is absent
+ * @param {Object} options.search - Enables ?search: { fields } for a
+ *   case-insensitive match on any of the fields, or { text: true } to use
+ *   the model's text index
+ * @param {Array} options.populate - Arguments for Query.populate(), e.g.
+ *   ["author", "name username"]
+ * @param {number} options.defaultLimit - Page size (default: 20)
+ * @param {number} options.maxLimit - Largest page size (default: 100)
+ * @returns {{validate: Function, find: Function}}
+ */
+export const createListQuery = (Model, options) => {
+  const {
+    sortFields,
+    defaultSort = "-createdAt",
+    filters = {},
+    fields,
+    defaultFields,
+    search,
+    populate,
+    defaultLimit = 20,
+    maxLimit = 100,
+  } = options;
+
+  const schema = Joi.object({
+    limit: Joi.number().integer().min(1).max(maxLimit).default(defaultLimit),
+    cursor: Joi.string().max(512),
+    sort: Joi.string()
+      .valid(...sortFields.flatMap((field) => [field, `-${field}`]))
+      .default(defaultSort)
+      .messages({
+        "any.only": `Sort must be one of ${sortFields.join(", ")} (prefix with - for descending)`,
+      }),
+    ...(fields && {
+      fields: Joi.string()
+        .pattern(fieldListPattern(fields))
+        .messages({
+          "string.pattern.base": `Fields must be a comma-separated list of ${fields.join(", ")}`,
+        }),
+    }),
+    ...(search && { search: Joi.string().trim().max(100).allow("") }),
+    ...Object.fromEntries(
+      Object.entries(filters).map(([name, filter]) => [
+        name,
+        buildFilterSchema(filter),
+      ])
+    ),
+  })
+    // Cursors only work with the sort they were issued for
+    .custom((value, helpers) =>
+      value.cursor && !decodeCursor(value.cursor, value.sort)
+        ? helpers.message("Invalid cursor for this sort order")
+        : value
+    )
+    // Unknown parameters are rejected rather than ignored, so typos show up
+    .prefs({ stripUnknown: false });
+
+  const validateQuery = validateRequest({ query: schema });
+
+  /**
+   * Validate req.query against the whitelist and store the result in
+   * req.listQuery
+   */
+  const validate = (req, res, next) => {
+    validateQuery(req, res, (error) => {
+      if (!error) req.listQuery = req.query;
+      next(error);
+    });
+  };
+  documented(validate, validateQuery.openapi);
+
+  const buildFilter = (query) => {
+    const conditions = Object.entries(filters)
+      .filter(([name]) => query[name] !== undefined)
+      .map(([name, filter]) => ({
+        [filter.field || name]: toMongoCondition(query[name]),
+      }));
+
+    if (search && query.search) {
+      conditions.push(
+        search.text
+          ? { $text: { $search: query.search } }
+          : {
+              $or: search.fields.map((field) => ({
+                [field]: new RegExp(escapeRegex(query.search), "i"),
+              })),
+            }
+      );
+    }
+
+    return conditions;
+  };
+
+  /**
+   * Fetch one page
+   * @param {Object} query - Validated query (req.listQuery)
+   * @param {Object} baseFilter - Extra conditions the client can't change,
+   *   e.g. { isDeleted: false }
+   * @returns {Promise<{data: Object[], nextCursor: string|null, hasMore: boolean}>}
+   */
+  const find = async (query, baseFilter = {}) => {
+    const direction = query.sort.startsWith("-") ? -1 : 1;
+    const field = query.sort.replace(/^-/, "");
+
+    const conditions = [baseFilter, ...buildFilter(query)];
+    if (query.cursor) {
+      conditions.push(
+        afterCursor(field, direction, decodeCursor(query.cursor, query.sort))
+      );
+    }
+
+    // The sort field is always fetched, the cursor is built from it
+    const projection = query.fields
+      ? [...new Set([...query.fields.split(","), field])].join(" ")
+      : defaultFields;
+
+    const mongoQuery = Model.find({ $and: conditions })
+      .sort({ [field]: direction, _id: direction })
+      .limit(query.limit + 1);
+    if (projection) mongoQuery.select(projection);
+    if (populate) mongoQuery.populate(...populate);
+
+    const docs = await mongoQuery;
+    const hasMore = docs.length > query.limit;
+    const data = hasMore ? docs.slice(0, query.limit) : docs;
+    return {
+      data,
+      nextCursor: hasMore
+        ? encodeCursor(query.sort, data[data.length - 1], field)
+        : null,
+      hasMore,
+    };
+  };
+
+  return { validate, find };
+};
@@ -1,10 +1,80 @@
 import morgan from "morgan";
 import { createLogger, format, transports } from "winston";
+import { getRequestContext } from "./requestContext.js";
 const isProd = process.env.NODE_ENV === "production";
 
+// Adds requestId, userId and route of the request being handled, so every
+// entry can be traced back to its request
+const requestContext = format((info) => {
+  for (const [key, value] of Object.entries(getRequestContext())) {
+    if (info[key] === undefined) info[key] = value;
+  }
+  return info;
+});
+
+// Fields whose values are never logged
+const SECRET_FIELD = /password|token|secret|authorization|cookie|recoverycode/i;
+
+const TEXT_REDACTIONS = [
+  // Email addresses keep their first character and domain: j***@example.com
+  [/([\w.%+-])[\w.%+-]*@([\w-]+(?:\.[\w-]+)+)/g, "$1***@$2"],
+  // JWTs and bearer credentials
+  [/\beyJ[\w-]*\.[\w-]*\.[\w-]*/g, "[REDACTED]"],
+  [/(Bearer\s+)\S+/gi, "$1[REDACTED]"],
+  // One-time tokens, e.g. in /verify-email/:token
+  [/\b[a-f0-9]{64}\b/g, "[REDACTED]"],
+  // Query parameters such as the OAuth callback's ?code= and ?state=
+  [/([?&](?:code|state|token|password)=)[^&\s"]*/gi, "$1[REDACTED]"],
+];
+
+const redactText = (text) =>
+  TEXT_REDACTIONS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+
+const redactValue = (key, value, depth = 0) => {
+  if (SECRET_FIELD.test(key)) return "[REDACTED]";
+  if (typeof value === "string") return redactText(value);
+  if (Array.isArray(value) && depth < 5) {
+    return value.map((item) => redactValue(key, item, depth + 1));
+  }
+  if (isPlainObject(value) && depth < 5) {
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => [
+        name,
+        redactValue(name, item, depth + 1),
+      ])
+    );
+  }
+  return value;
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Masks secrets and personal data in messages and metadata. A call can opt
+// out with { redact: false }, e.g. the console mail transport, whose whole
+// point is to show the links.
+const redact = format((info) => {
+  if (info.redact === false) {
+    delete info.redact;
+    return info;
+  }
+  for (const key of Object.keys(info)) {
+    if (key !== "level") info[key] = redactValue(key, info[key]);
+  }
+  return info;
+});
+
 export const logger = createLogger({
-  level: isProd ? "info" : "debug",
+  // "http" sits just below "info", so production still gets the access log
+  level: isProd ? "http" : "debug",
   format: format.combine(
+    requestContext(),
+    redact(),
     format.timestamp({
       format: "DD-MM-YYYY hh:mm:ss.SSS A",
     }),
@@ -0,0 +1,111 @@
+import { hashRing } from "./consistentHash.js";
+
+const defaultThrottleConfig = {
+  freeAttempts: 3, // Failures per IP+account before backoff starts
+  baseDelayMs: 1000, // First backoff delay, doubled on every further failure
+  maxDelayMs: 15 * 60 * 1000, // 15 minutes
+  lockThreshold: 10, // Failures per account before it is locked
+  lockDurationMs: 15 * 60 * 1000, // 15 minutes
+  windowMs: 15 * 60 * 1000, // Counters reset after 15 minutes without failures
+};
+
+// All state for an account lives in one hash on one shard, so a successful
+// login or an admin unlock clears it with a single DEL:
+//   total          failures for the account from any IP
+//   ip:<ip>        failures from one IP
+//   backoff:<ip>   epoch ms until that IP may try again
+//   lockedUntil    epoch ms until the account is unlocked
+const attemptsKey = (email) => `login-attempts:${email.trim().toLowerCase()}`;
+const getClient = (key) => hashRing.getServer(key).client;
+
+const toSeconds = (ms) => Math.max(Math.ceil(ms / 1000), 1);
+
+/**
+ * Create a login throttle with the given limits
+ * @param {Object} options - Overrides for defaultThrottleConfig
+ * @returns {{check: Function, recordFailure: Function, reset: Function}}
+ */
+export const createLoginThrottle = (options = {}) => {
+  const config = { ...defaultThrottleConfig, ...options };
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {string} email - Account identifier
+   * @param {string} ip - Client IP
+   * @returns {Promise<{allowed: boolean, status?: number, retryAfter?: number}>}
+   */
+  const check = async (email, ip) => {
+    const key = attemptsKey(email);
+    const [lockedUntil, backoffUntil] = await getClient(key).hmGet(key, [
+      "lockedUntil",
+      `backoff:${ip}`,
+    ]);
+    const now = Date.now();
+
+    if (lockedUntil && Number(lockedUntil) > now) {
+      return {
+        allowed: false,
+        status: 423,
+        retryAfter: toSeconds(Number(lockedUntil) - now),
+      };
+    }
+    if (backoffUntil && Number(backoffUntil) > now) {
+      return {
+        allowed: false,
+        status: 429,
+        retryAfter: toSeconds(Number(backoffUntil) - now),
+      };
+    }
+    return { allowed: true };
+  };
+
+  /**
+   * Record a failed login and apply backoff or lockout when due
+   * @param {string} email - Account identifier
+   * @param {string} ip - Client IP
+   * @returns {Promise<{locked: boolean, retryAfter?: number}>}
+   */
+  const recordFailure = async (email, ip) => {
+    const key = attemptsKey(email);
+    const client = getClient(key);
+    const ttl = toSeconds(Math.max(config.windowMs, config.lockDurationMs));
+
+    const [total, ipFailures] = await client
+      .multi()
+      .hIncrBy(key, "total", 1)
+      .hIncrBy(key, `ip:${ip}`, 1)
+      .expire(key, ttl)
+      .exec();
+
+    const now = Date.now();
+    if (total >= config.lockThreshold) {
+      await client.hSet(key, "lockedUntil", now + config.lockDurationMs);
+      return { locked: true, retryAfter: toSeconds(config.lockDurationMs) };
+    }
+
+    if (ipFailures > config.freeAttempts) {
+      const delay = Math.min(
+        config.baseDelayMs * 2 ** (ipFailures - config.freeAttempts - 1),
+        config.maxDelayMs
+      );
+      await client.hSet(key, `backoff:${ip}`, now + delay);
+      return { locked: false, retryAfter: toSeconds(delay) };
+    }
+
+    return { locked: false };
+  };
+
+  /**
+   * Clear all counters, backoffs and locks for an account
+   * @param {string} email - Account identifier
+   * @returns {Promise<void>}
+   */
+  const reset = async (email) => {
+    const key = attemptsKey(email);
+    await getClient(key).del(key);
+  };
+
+  return { check, recordFailure, reset };
+};
+
+export const loginThrottle = createLoginThrottle();
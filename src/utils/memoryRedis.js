@@ -0,0 +1,108 @@
+/**
+ * Minimal in-memory stand-in for a node-redis client, covering the commands
+ * used by ReplicatedStore, the OpenID Connect state store and the two-factor
+ * attempt counters. Handy for tests and local development without Redis.
+ */
+export class MemoryRedisClient {
+  constructor() {
+    this.store = new Map();
+    this.isReady = true;
+  }
+
+  ensureReady() {
+    if (!this.isReady) {
+      throw new Error("The client is closed");
+    }
+  }
+
+  read(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    this.ensureReady();
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, options = {}) {
+    this.ensureReady();
+    let expiresAt = null;
+    if (options.PX) expiresAt = Date.now() + Number(options.PX);
+    else if (options.EX) expiresAt = Date.now() + Number(options.EX) * 1000;
+    this.store.set(key, { value: String(value), expiresAt });
+    return "OK";
+  }
+
+  async getDel(key) {
+    this.ensureReady();
+    const entry = this.read(key);
+    this.store.delete(key);
+    return entry ? entry.value : null;
+  }
+
+  async del(key) {
+    this.ensureReady();
+    return this.store.delete(key) ? 1 : 0;
+  }
+
+  async pTTL(key) {
+    this.ensureReady();
+    const entry = this.read(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return entry.expiresAt - Date.now();
+  }
+
+  async ttl(key) {
+    const ms = await this.pTTL(key);
+    return ms < 0 ? ms : Math.ceil(ms / 1000);
+  }
+
+  async incr(key) {
+    this.ensureReady();
+    const entry = this.read(key);
+    const value = (entry ? Number(entry.value) : 0) + 1;
+    this.store.set(key, {
+      value: String(value),
+      expiresAt: entry ? entry.expiresAt : null,
+    });
+    return value;
+  }
+
+  // Supports the NX mode only: set an expiry on keys that have none
+  async expire(key, seconds, mode) {
+    this.ensureReady();
+    const entry = this.read(key);
+    if (!entry || (mode === "NX" && entry.expiresAt !== null)) return 0;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+
+  // Queues commands and runs them in order on exec(), like MULTI/EXEC
+  multi() {
+    const queued = [];
+    const transaction = {
+      exec: async () => {
+        const replies = [];
+        for (const [command, args] of queued) {
+          replies.push(await this[command](...args));
+        }
+        return replies;
+      },
+    };
+    for (const command of ["get", "set", "del", "incr", "expire"]) {
+      transaction[command] = (...args) => {
+        queued.push([command, args]);
+        return transaction;
+      };
+    }
+    return transaction;
+  }
+}
@@ -0,0 +1,367 @@
+// Minimal Prometheus client: counters, gauges and histograms rendered in the
+// text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/),
+// and the metrics this service exports.
+
+const escapeHelp = (text) =>
+  text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+const escapeLabelValue = (value) =>
+  escapeHelp(String(value)).replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  const pairs = entries.map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return `{${pairs.join(",")}}`;
+};
+
+const formatValue = (value) => {
+  if (Number.isFinite(value)) return String(value);
+  if (Number.isNaN(value)) return "NaN";
+  return value > 0 ? "+Inf" : "-Inf";
+};
+
+class Metric {
+  /**
+   * @param {Object} options - Metric definition
+   * @param {string} options.name - Metric name, e.g. http_requests_total
+   * @param {string} options.help - One-line description
+   * @param {string[]} options.labelNames - Labels every sample carries
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Missing labels are rendered empty and unknown ones are dropped, so a
+  // typo can't create a new series
+  labelsOf(labels) {
+    return Object.fromEntries(
+      this.labelNames.map((name) => [
+        name,
+        labels[name] === undefined ? "" : String(labels[name]),
+      ])
+    );
+  }
+
+  getSeries(labels, create) {
+    const normalized = this.labelsOf(labels);
+    const key = JSON.stringify(Object.values(normalized));
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join("\n");
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+/** Value that only goes up, e.g. requests served */
+export class Counter extends Metric {
+  type = "counter";
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} can't be decreased`);
+    }
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/** Value that goes up and down, e.g. open connections */
+export class Gauge extends Metric {
+  type = "gauge";
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+// Suits request and upload latencies in seconds
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/** Distribution of observed values in cumulative buckets, e.g. latencies */
+export class Histogram extends Metric {
+  type = "histogram";
+
+  /**
+   * @param {Object} options - Metric definition (see Metric), plus
+   * @param {number[]} options.buckets - Upper bounds (default: DEFAULT_BUCKETS)
+   */
+  constructor(options) {
+    super(options);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort(
+      (a, b) => a - b
+    );
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Start timing something
+   * @param {Object} labels - Labels known up front
+   * @returns {Function} Call when done, with any further labels, to observe
+   *   the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) =>
+      this.observe(
+        { ...labels, ...moreLabels },
+        Number(process.hrtime.bigint() - start) / 1e9
+      );
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    const sample = (suffix, extraLabels, value) =>
+      `${this.name}${suffix}${formatLabels({ ...labels, ...extraLabels })} ${formatValue(value)}`;
+    return [
+      ...this.buckets.map((bound, index) =>
+        sample("_bucket", { le: formatValue(bound) }, counts[index])
+      ),
+      sample("_bucket", { le: "+Inf" }, count),
+      sample("_sum", {}, sum),
+      sample("_count", {}, count),
+    ];
+  }
+}
+
+/** Set of metrics rendered together, e.g. for GET /metrics */
+export class Registry {
+  contentType = "text/plain; version=0.0.4; charset=utf-8";
+
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  render() {
+    const metrics = [...this.metrics.values()];
+    return `${metrics.map((metric) => metric.render()).join("\n")}\n`;
+  }
+}
+
+export const registry = new Registry();
+
+export const httpRequestsTotal = registry.register(
+  new Counter({
+    name: "http_requests_total",
+    help: "HTTP requests answered, by route template and status",
+    labelNames: ["method", "route", "status"],
+  })
+);
+
+export const httpRequestDuration = registry.register(
+  new Histogram({
+    name: "http_request_duration_seconds",
+    help: "Time to answer HTTP requests, by route template and status",
+    labelNames: ["method", "route", "status"],
+  })
+);
+
+export const rateLimitRejections = registry.register(
+  new Counter({
+    name: "rate_limit_rejections_total",
+    help: "Requests rejected by a rate limiter",
+    labelNames: ["limiter"],
+  })
+);
+
+export const loginAttempts = registry.register(
+  new Counter({
+    name: "login_attempts_total",
+    help: "Sign-in attempts, by method (password, two_factor, oauth) and result",
+    labelNames: ["method", "result"],
+  })
+);
+
+export const storageUploadDuration = registry.register(
+  new Histogram({
+    name: "storage_upload_duration_seconds",
+    help: "Time to store a file with the storage driver, failed uploads included",
+    labelNames: ["driver"],
+  })
+);
+
+export const storageUploadErrors = registry.register(
+  new Counter({
+    name: "storage_upload_errors_total",
+    help: "Uploads the storage driver failed",
+    labelNames: ["driver"],
+  })
+);
+
+const mongoPoolConnections = registry.register(
+  new Gauge({
+    name: "mongodb_pool_connections",
+    help: "Open connections in the MongoDB connection pool",
+    labelNames: ["server"],
+  })
+);
+
+const mongoPoolConnectionsInUse = registry.register(
+  new Gauge({
+    name: "mongodb_pool_connections_in_use",
+    help: "Pool connections checked out by an operation",
+    labelNames: ["server"],
+  })
+);
+
+const mongoPoolWaitQueue = registry.register(
+  new Gauge({
+    name: "mongodb_pool_wait_queue_size",
+    help: "Operations waiting for a pool connection",
+    labelNames: ["server"],
+  })
+);
+
+const mongoPoolMaxConnections = registry.register(
+  new Gauge({
+    name: "mongodb_pool_max_connections",
+    help: "Configured maximum size of the connection pool",
+    labelNames: ["server"],
+  })
+);
+
+const mongoPoolCheckoutFailures = registry.register(
+  new Counter({
+    name: "mongodb_pool_checkout_failures_total",
+    help: "Operations that couldn't get a pool connection, by reason",
+    labelNames: ["server", "reason"],
+  })
+);
+
+const redisCommands = registry.register(
+  new Counter({
+    name: "redis_commands_total",
+    help: "Commands sent to a Redis shard, MULTI transactions counted once",
+    labelNames: ["shard", "command"],
+  })
+);
+
+const redisCommandErrors = registry.register(
+  new Counter({
+    name: "redis_command_errors_total",
+    help: "Commands a Redis shard failed or couldn't be sent",
+    labelNames: ["shard", "command"],
+  })
+);
+
+/**
+ * Track a MongoDB connection pool through the driver's connection pool
+ * events. Attach before connecting, e.g. to mongoose.connection.getClient().
+ * @param {Object} client - MongoClient
+ */
+export const observeMongoPool = (client) => {
+  const server = (event) => ({ server: event.address });
+
+  client.on("connectionPoolCreated", (event) => {
+    mongoPoolMaxConnections.set(server(event), event.options.maxPoolSize);
+  });
+  client.on("connectionCreated", (event) => {
+    mongoPoolConnections.inc(server(event));
+  });
+  client.on("connectionClosed", (event) => {
+    mongoPoolConnections.dec(server(event));
+  });
+  client.on("connectionCheckOutStarted", (event) => {
+    mongoPoolWaitQueue.inc(server(event));
+  });
+  client.on("connectionCheckedOut", (event) => {
+    mongoPoolWaitQueue.dec(server(event));
+    mongoPoolConnectionsInUse.inc(server(event));
+  });
+  client.on("connectionCheckOutFailed", (event) => {
+    mongoPoolWaitQueue.dec(server(event));
+    mongoPoolCheckoutFailures.inc({ ...server(event), reason: event.reason });
+  });
+  client.on("connectionCheckedIn", (event) => {
+    mongoPoolConnectionsInUse.dec(server(event));
+  });
+};
+
+const countRedisCommand = async (shard, command, promise) => {
+  redisCommands.inc({ shard, command });
+  try {
+    return await promise;
+  } catch (error) {
+    redisCommandErrors.inc({ shard, command });
+    throw error;
+  }
+};
+
+/**
+ * Count a node-redis client's commands and errors under its shard name.
+ * Every command goes through sendCommand; MULTI transactions bypass it, so
+ * they are counted when executed.
+ * @param {string} shard - Shard (ring node) name
+ * @param {Object} client - node-redis client
+ * @returns {Object} The same client
+ */
+export const observeRedisClient = (shard, client) => {
+  // createClient() returns a wrapper around the client instance, and
+  // commands call sendCommand on that instance (client._self)
+  const instance = client._self || client;
+  const sendCommand = instance.sendCommand.bind(instance);
+  instance.sendCommand = (args, options) =>
+    countRedisCommand(
+      shard,
+      String(args[0]).toUpperCase(),
+      sendCommand(args, options)
+    );
+
+  const multi = client.multi.bind(client);
+  client.multi = client.MULTI = () => {
+    const transaction = multi();
+    const exec = transaction.exec.bind(transaction);
+    transaction.exec = (...args) =>
+      countRedisCommand(shard, "MULTI", exec(...args));
+    return transaction;
+  };
+  return client;
+};
@@ -0,0 +1,294 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { hashRing } from "./consistentHash.js";
+import {
+  AppError,
+  AuthenticationError,
+  ValidationError,
+} from "./errorHandler.js";
+
+const STATE_TTL = 10 * 60; // Seconds a user has to finish signing in
+const METADATA_TTL = 60 * 60 * 1000; // Discovery documents and keys, 1 hour
+const HTTP_TIMEOUT = 10 * 1000;
+
+// ID tokens must be signed with the provider's keys, never a shared secret
+const ID_TOKEN_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+
+const stateKey = (state) => `oauth:state:${state}`;
+const getClient = (key) => hashRing.getServer(key).client;
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+// Discovery documents and key sets per issuer / JWKS URI: { value, expiresAt }
+const metadataCache = new Map();
+
+const providerError = (message) =>
+  new AppError(message, 502, { code: "OAUTH_PROVIDER_ERROR" });
+
+const invalidIdToken = (message) =>
+  new AuthenticationError(message, { code: "INVALID_ID_TOKEN" });
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: "application/json", ...options.headers },
+      signal: AbortSignal.timeout(HTTP_TIMEOUT),
+    });
+  } catch (error) {
+    throw providerError(`Identity provider is unreachable: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const reason =
+      (body && (body.error_description || body.error)) || response.status;
+    throw providerError(`Identity provider request failed: ${reason}`);
+  }
+  return body;
+};
+
+const cached = async (key, load) => {
+  const entry = metadataCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+  const value = await load();
+  metadataCache.set(key, { value, expiresAt: Date.now() + METADATA_TTL });
+  return value;
+};
+
+/**
+ * Fetch a provider's OpenID Connect discovery document
+ * @param {Object} provider - Provider from config/oauth.js
+ * @returns {Promise<Object>} Provider metadata
+ * @throws {AppError} 502 when it can't be fetched or names another issuer
+ */
+export const discover = (provider) =>
+  cached(`discovery:${provider.issuer}`, async () => {
+    const metadata = await fetchJson(
+      `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+    );
+    if (metadata.issuer !== provider.issuer) {
+      throw providerError(
+        `Identity provider reports issuer ${metadata.issuer}, expected ${provider.issuer}`
+      );
+    }
+    return metadata;
+  });
+
+const loadKeys = (jwksUri) =>
+  cached(`jwks:${jwksUri}`, async () => (await fetchJson(jwksUri)).keys || []);
+
+// Providers rotate keys, so an unknown kid triggers one refetch of the set
+const getSigningKey = async (metadata, header) => {
+  const matches = (keys) =>
+    keys.find(
+      (key) => (!header.kid || key.kid === header.kid) && key.use !== "enc"
+    );
+
+  let jwk = matches(await loadKeys(metadata.jwks_uri));
+  if (!jwk) {
+    metadataCache.delete(`jwks:${metadata.jwks_uri}`);
+    jwk = matches(await loadKeys(metadata.jwks_uri));
+  }
+  if (!jwk) {
+    throw invalidIdToken("ID token is signed with an unknown key");
+  }
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Start a sign-in: create the state, nonce and PKCE verifier, remember them
+ * for STATE_TTL and build the provider's authorization URL
+ * @param {Object} provider - Provider from config/oauth.js
+ * @param {Object} options - Request options
+ * @param {boolean} options.reauthenticate - Make the provider ask for the
+ *   user's credentials even with a session of its own (prompt=login,
+ *   max_age=0), e.g. to confirm an account deletion
+ * @returns {Promise<{url: string, state: string}>}
+ */
+export const createAuthorizationRequest = async (provider, options = {}) => {
+  const metadata = await discover(provider);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier)
+    .digest("base64url");
+
+  const key = stateKey(state);
+  await getClient(key).set(
+    key,
+    JSON.stringify({ provider: provider.name, nonce, codeVerifier }),
+    { EX: STATE_TTL }
+  );
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+    // max_age also makes the provider include auth_time in the ID token
+    ...(options.reauthenticate ? { prompt: "login", max_age: "0" } : {}),
+  }).toString();
+
+  return { url: url.toString(), state };
+};
+
+/**
+ * Take the sign-in started with `state`. Each state can be used once.
+ * @param {string} state - State returned by the provider
+ * @param {Object} provider - Provider the callback arrived for
+ * @returns {Promise<{nonce: string, codeVerifier: string}>}
+ * @throws {ValidationError} When the state is unknown, used or expired
+ */
+export const consumeAuthorizationState = async (state, provider) => {
+  const key = stateKey(state);
+  const stored = await getClient(key).getDel(key);
+  const request = stored && JSON.parse(stored);
+  if (!request || request.provider !== provider.name) {
+    throw new ValidationError("Sign-in request is invalid or has expired", {
+      code: "INVALID_OAUTH_STATE",
+    });
+  }
+  return request;
+};
+
+const clientAuthentication = (provider, metadata) => {
+  if (!provider.clientSecret) {
+    return { headers: {}, params: { client_id: provider.clientId } };
+  }
+  const methods = metadata.token_endpoint_auth_methods_supported || [
+    "client_secret_basic",
+  ];
+  if (!methods.includes("client_secret_basic")) {
+    return {
+      headers: {},
+      params: {
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+      },
+    };
+  }
+  // RFC 6749 2.3.1: both parts are form-encoded before base64
+  const credentials = Buffer.from(
+    `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`
+  ).toString("base64");
+  return { headers: { Authorization: `Basic ${credentials}` }, params: {} };
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {string} idToken - ID token from the token endpoint
+ * @param {Object} provider - Provider from config/oauth.js
+ * @param {Object} metadata - Provider metadata
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Token claims
+ * @throws {AuthenticationError} When the token fails any check
+ */
+const verifyIdToken = async (idToken, provider, metadata, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw invalidIdToken("Invalid ID token");
+  }
+
+  const key = await getSigningKey(metadata, decoded.header);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60,
+    });
+  } catch (error) {
+    throw invalidIdToken(`Invalid ID token: ${error.message}`);
+  }
+
+  const audiences = [].concat(claims.aud);
+  if (audiences.length > 1 && claims.azp !== provider.clientId) {
+    throw invalidIdToken("Invalid ID token: authorized party mismatch");
+  }
+  if (claims.nonce !== nonce) {
+    throw invalidIdToken("Invalid ID token: nonce mismatch");
+  }
+  return claims;
+};
+
+/**
+ * Finish a sign-in: redeem the authorization code with the PKCE verifier,
+ * verify the ID token and fill in profile claims from the userinfo endpoint
+ * when the ID token leaves them out
+ * @param {Object} provider - Provider from config/oauth.js
+ * @param {string} code - Authorization code from the callback
+ * @param {Object} request - Result of consumeAuthorizationState
+ * @returns {Promise<Object>} Identity: { subject, email, emailVerified, name,
+ *   preferredUsername, authTime }
+ */
+export const exchangeAuthorizationCode = async (provider, code, request) => {
+  const metadata = await discover(provider);
+  const { headers, params } = clientAuthentication(provider, metadata);
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      ...headers,
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: provider.redirectUri,
+      code_verifier: request.codeVerifier,
+      ...params,
+    }).toString(),
+  });
+  if (!tokens.id_token) {
+    throw providerError("Identity provider did not return an ID token");
+  }
+
+  let claims = await verifyIdToken(
+    tokens.id_token,
+    provider,
+    metadata,
+    request.nonce
+  );
+
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+    // OIDC Core 5.3.2: userinfo must describe the same subject
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims };
+    }
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    // Some providers send the flag as a string
+    emailVerified:
+      claims.email_verified === true || claims.email_verified === "true",
+    name: claims.name,
+    preferredUsername: claims.preferred_username || claims.nickname,
+    // When the user last entered credentials at the provider, if it says
+    authTime: Number.isInteger(claims.auth_time) ? claims.auth_time : null,
+  };
+};
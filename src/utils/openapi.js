@@ -0,0 +1,506 @@
+import http from "http";
+import Joi from "joi";
+import { AppError, sendProblem } from "./errorHandler.js";
+import { logger } from "./logger.js";
+
+/**
+ * Attach OpenAPI details to a middleware. buildOpenApiSpec() collects them
+ * from every middleware of a route, so e.g. validate() contributes the
+ * request schemas and authenticateToken the bearer security requirement.
+ * @param {Function} middleware - Express middleware
+ * @param {Object} doc - Any of { request, security, files, filesRequired,
+ *   rawBody, roles, permissions, rateLimited }
+ * @returns {Function} The same middleware
+ */
+export const documented = (middleware, doc) =>
+  Object.assign(middleware, { openapi: doc });
+
+// Joi rule name to the JSON Schema keywords it maps to, per Joi type
+const RULES = {
+  string: {
+    min: (schema, { limit }) => (schema.minLength = limit),
+    max: (schema, { limit }) => (schema.maxLength = limit),
+    length: (schema, { limit }) => {
+      schema.minLength = limit;
+      schema.maxLength = limit;
+    },
+    email: (schema) => (schema.format = "email"),
+    uri: (schema) => (schema.format = "uri"),
+    guid: (schema) => (schema.format = "uuid"),
+    isoDate: (schema) => (schema.format = "date-time"),
+    alphanum: (schema) => (schema.pattern = "^[a-zA-Z0-9]*$"),
+    // Described as "/source/flags"
+    pattern: (schema, { regex }) =>
+      (schema.pattern = regex.replace(/^\/|\/[a-z]*$/g, "")),
+  },
+  number: {
+    integer: (schema) => (schema.type = "integer"),
+    min: (schema, { limit }) => (schema.minimum = limit),
+    max: (schema, { limit }) => (schema.maximum = limit),
+    greater: (schema, { limit }) => (schema.exclusiveMinimum = limit),
+    less: (schema, { limit }) => (schema.exclusiveMaximum = limit),
+  },
+  array: {
+    min: (schema, { limit }) => (schema.minItems = limit),
+    max: (schema, { limit }) => (schema.maxItems = limit),
+  },
+  object: {
+    min: (schema, { limit }) => (schema.minProperties = limit),
+    max: (schema, { limit }) => (schema.maxProperties = limit),
+  },
+};
+
+const isRequired = (description) =>
+  Boolean(description.flags && description.flags.presence === "required");
+
+const isForbidden = (description) =>
+  Boolean(description.flags && description.flags.presence === "forbidden");
+
+const objectSchema = ({ keys = {}, dependencies = [] }) => {
+  const entries = Object.entries(keys).filter(([, key]) => !isForbidden(key));
+  const required = entries
+    .filter(([, key]) => isRequired(key))
+    .map(([name]) => name);
+  const peers = dependencies
+    .filter((dependency) => dependency.rel === "or")
+    .flatMap((dependency) => dependency.peers);
+
+  return {
+    type: "object",
+    ...(entries.length > 0 && {
+      properties: Object.fromEntries(
+        entries.map(([name, key]) => [name, fromDescription(key)])
+      ),
+    }),
+    ...(required.length > 0 && { required }),
+    ...(peers.length > 0 && {
+      anyOf: peers.map((peer) => ({ required: [peer] })),
+    }),
+  };
+};
+
+const fromDescription = (description) => {
+  const { type, flags = {}, rules = [], allow = [], metas = [] } = description;
+
+  let schema;
+  if (type === "object") {
+    schema = objectSchema(description);
+  } else if (type === "array") {
+    const items = (description.items || []).map(fromDescription);
+    schema = {
+      type: "array",
+      ...(items.length === 1 && { items: items[0] }),
+      ...(items.length > 1 && { items: { anyOf: items } }),
+    };
+  } else if (type === "alternatives") {
+    schema = {
+      anyOf: description.matches
+        .filter((match) => match.schema)
+        .map((match) => fromDescription(match.schema)),
+    };
+  } else if (type === "date") {
+    schema = { type: "string", format: "date-time" };
+  } else if (["string", "number", "boolean"].includes(type)) {
+    schema = { type };
+  } else {
+    schema = {};
+  }
+
+  for (const { name, args = {} } of rules) {
+    const rule = RULES[type] && RULES[type][name];
+    if (rule) rule(schema, args);
+  }
+
+  // References (e.g. Joi.ref("password")) can't be expressed, so only
+  // literal values are listed
+  const values = allow.filter(
+    (value) => value === null || typeof value !== "object"
+  );
+  if (flags.only && values.length > 0) schema.enum = values;
+  if (values.includes(null) && schema.type) schema.type = [schema.type, "null"];
+  if (flags.default !== undefined && typeof flags.default !== "object") {
+    schema.default = flags.default;
+  }
+  if (flags.description) schema.description = flags.description;
+
+  return Object.assign(schema, ...metas);
+};
+
+/**
+ * Convert a Joi schema (or a plain object of Joi schemas) to JSON Schema
+ * @param {Object} schema - Joi schema
+ * @returns {Object} JSON Schema, as used by OpenAPI 3.1
+ */
+export const toJsonSchema = (schema) =>
+  fromDescription(Joi.compile(schema).describe());
+
+/**
+ * Key of an operation in the route-to-docs map, e.g. "GET /api/v1/posts/:id"
+ * @param {string} method - HTTP method
+ * @param {string} path - Express path, mount prefix included
+ * @returns {string}
+ */
+export const operationKey = (method, path) =>
+  `${method.toUpperCase()} ${path.replace(/(.)\/$/, "$1")}`;
+
+// Every route of a router with all the middleware it runs through, those
+// added with router.use() included
+const listRoutes = (prefix, router) => {
+  const shared = [];
+  const routes = [];
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      shared.push(layer.handle);
+      continue;
+    }
+    const methods = Object.keys(layer.route.methods).filter(
+      (method) => method !== "_all"
+    );
+    for (const method of methods) {
+      routes.push({
+        key: operationKey(method, prefix + layer.route.path),
+        method,
+        path: prefix + layer.route.path,
+        handlers: [
+          ...shared,
+          ...layer.route.stack
+            .filter((route) => !route.method || route.method === method)
+            .map((route) => route.handle),
+        ],
+      });
+    }
+  }
+  return routes;
+};
+
+const LIST_DETAILS = ["files", "roles", "permissions"];
+
+const mergeDetails = (handlers) => {
+  const merged = { request: {} };
+  for (const { openapi } of handlers) {
+    for (const [name, value] of Object.entries(openapi || {})) {
+      if (name === "request") {
+        Object.assign(merged.request, value);
+      } else if (LIST_DETAILS.includes(name)) {
+        merged[name] = [...(merged[name] || []), ...value];
+      } else {
+        merged[name] = value;
+      }
+    }
+  }
+  return merged;
+};
+
+const toParameters = (location, schema) => {
+  if (!schema) return [];
+  const { properties = {}, required = [] } = toJsonSchema(schema);
+  return Object.entries(properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === "path" || required.includes(name),
+    schema: property,
+    // Range filters such as ?createdAt[gte]=... are nested objects
+    ...((property.type === "object" ||
+      (property.anyOf || []).some((option) => option.type === "object")) && {
+      style: "deepObject",
+      explode: true,
+    }),
+  }));
+};
+
+const pathParameters = (path, schema) => {
+  const parameters = toParameters("path", schema);
+  const names = [...path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+  return names.map(
+    (name) =>
+      parameters.find((parameter) => parameter.name === name) || {
+        name,
+        in: "path",
+        required: true,
+        schema: { type: "string" },
+      }
+  );
+};
+
+const fileSchema = ({ maxFileSize }) => ({
+  type: "string",
+  format: "binary",
+  description: `Up to ${Math.round(maxFileSize / 1024 / 1024)} MB`,
+});
+
+const requestBody = ({ request, files, filesRequired, rawBody }) => {
+  if (rawBody) {
+    return {
+      required: true,
+      content: { [rawBody]: { schema: { type: "string", format: "binary" } } },
+    };
+  }
+
+  const body = request.body && toJsonSchema(request.body);
+  if (files) {
+    const required = [
+      ...((body && body.required) || []),
+      ...(filesRequired ? files.map((file) => file.name) : []),
+    ];
+    return {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            properties: {
+              ...(body && body.properties),
+              ...Object.fromEntries(
+                files.map((file) => [
+                  file.name,
+                  file.maxCount > 1
+                    ? {
+                        type: "array",
+                        maxItems: file.maxCount,
+                        items: fileSchema(file),
+                      }
+                    : fileSchema(file),
+                ])
+              ),
+            },
+            ...(required.length > 0 && { required }),
+          },
+          encoding: Object.fromEntries(
+            files.map((file) => [
+              file.name,
+              { contentType: file.contentTypes.join(", ") },
+            ])
+          ),
+        },
+      },
+    };
+  }
+
+  if (body) {
+    return {
+      required: Boolean(body.required || body.minProperties),
+      content: { "application/json": { schema: body } },
+    };
+  }
+  return undefined;
+};
+
+// Failures the middleware of a route can answer with, on top of the ones
+// the route's docs list
+const errorStatuses = (details, path, declared = []) => {
+  const { request } = details;
+  const statuses = new Set(declared);
+  if (Object.keys(request).length > 0 || details.files || details.rawBody) {
+    statuses.add(400);
+  }
+  if (details.security) statuses.add(401);
+  if (details.roles || details.permissions) statuses.add(403);
+  if (path.includes(":")) statuses.add(404);
+  if (details.files || details.rawBody) statuses.add(413);
+  if (details.rateLimited) statuses.add(429);
+  return [...statuses].sort((a, b) => a - b);
+};
+
+const problemResponse = (status) => ({
+  description: http.STATUS_CODES[status],
+  content: {
+    "application/problem+json": {
+      schema: { $ref: "#/components/schemas/Problem" },
+    },
+  },
+});
+
+// Declared as a Joi schema of the JSON body, or as { description } for
+// responses without one (e.g. redirects)
+const successResponse = (status, response) =>
+  Joi.isSchema(response)
+    ? {
+        description: http.STATUS_CODES[status],
+        content: { "application/json": { schema: toJsonSchema(response) } },
+      }
+    : { description: http.STATUS_CODES[status], ...response };
+
+const requirements = ({ roles = [], permissions = [] }) => [
+  ...(roles.length > 0 ? [`Requires role: ${roles.join(" or ")}.`] : []),
+  ...(permissions.length > 0
+    ? [`Requires permission: ${permissions.join(", ")}.`]
+    : []),
+];
+
+const fallbackOperationId = (method, path) =>
+  method +
+  path
+    .split(/[/:-]/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+
+const buildOperation = ({ method, path, handlers }, tag, doc = {}) => {
+  const details = mergeDetails(handlers);
+  const { request } = details;
+  const parameters = [
+    ...pathParameters(path, request.params),
+    ...toParameters("query", request.query),
+    ...toParameters("header", request.headers),
+  ];
+  const body = requestBody(details);
+  const description = [doc.description, ...requirements(details)]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return {
+    operationId:
+      doc.operationId ||
+      handlers[handlers.length - 1].name ||
+      fallbackOperationId(method, path),
+    tags: doc.tags || [tag],
+    ...(doc.summary && { summary: doc.summary }),
+    ...(description && { description }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(body && { requestBody: body }),
+    ...(details.security && { security: details.security }),
+    responses: {
+      ...Object.fromEntries(
+        Object.entries(doc.responses || {}).map(([status, response]) => [
+          status,
+          successResponse(status, response),
+        ])
+      ),
+      ...Object.fromEntries(
+        errorStatuses(details, path, doc.errors).map((status) => [
+          status,
+          problemResponse(status),
+        ])
+      ),
+    },
+  };
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+  },
+  schemas: {
+    // Rendered by utils/errorHandler.js
+    Problem: {
+      type: "object",
+      description: "RFC 7807 problem details",
+      required: ["type", "title", "status", "detail", "code"],
+      properties: {
+        type: { type: "string" },
+        title: { type: "string" },
+        status: { type: "integer" },
+        detail: { type: "string" },
+        instance: { type: "string" },
+        code: {
+          type: "string",
+          description: "Stable machine-readable error code",
+        },
+        errors: {
+          type: "array",
+          items: {
+            anyOf: [
+              { type: "string" },
+              {
+                type: "object",
+                properties: {
+                  field: { type: "string" },
+                  code: { type: "string" },
+                  message: { type: "string" },
+                },
+              },
+            ],
+          },
+        },
+        retryAfter: { type: "integer" },
+      },
+    },
+  },
+};
+
+/**
+ * Build an OpenAPI 3.1 document from mounted routers. Paths, parameters,
+ * request bodies and security come from the routes' middleware (see
+ * documented()); summaries and success responses from `operations`.
+ * @param {Object} options
+ * @param {Object} options.info - OpenAPI info object
+ * @param {Object} options.routes - Mount path to Express router
+ * @param {Object} options.operations - operationKey() to { summary,
+ *   description, operationId, tags, responses, errors }, where responses
+ *   maps a status to a Joi schema of the body and errors lists extra
+ *   failure statuses
+ * @returns {Object} OpenAPI document
+ */
+export const buildOpenApiSpec = ({ info, routes, operations = {} }) => {
+  const paths = {};
+  const seen = new Set();
+
+  for (const [prefix, router] of Object.entries(routes)) {
+    const tag = prefix.split("/").pop();
+    for (const route of listRoutes(prefix, router)) {
+      seen.add(route.key);
+      if (!operations[route.key]) {
+        logger.warn(`OpenAPI: ${route.key} has no documented responses`);
+      }
+      const path = route.key
+        .slice(route.method.length + 1)
+        .replace(/:(\w+)/g, "{$1}");
+      paths[path] = {
+        ...paths[path],
+        [route.method]: buildOperation(route, tag, operations[route.key]),
+      };
+    }
+  }
+
+  for (const key of Object.keys(operations).filter((key) => !seen.has(key))) {
+    logger.warn(`OpenAPI: ${key} is documented but has no route`);
+  }
+
+  return { openapi: "3.1.0", info, paths, components };
+};
+
+const checkResponse = (operation, status, body) => {
+  const schema = operation.responses[status];
+  if (!Joi.isSchema(schema)) {
+    return [`No response schema declared for status ${status}`];
+  }
+  // Checked as clients receive it: ObjectIds and dates as strings
+  const { error } = schema.validate(JSON.parse(JSON.stringify(body)), {
+    abortEarly: false,
+  });
+  return error ? error.details.map((detail) => detail.message) : [];
+};
+
+/**
+ * Check JSON responses against the response schemas in `operations`, for
+ * test runs. A response that doesn't match, or whose status has no schema,
+ * is replaced with a 500 problem listing the mismatches. Routes missing
+ * from `operations` are reported by buildOpenApiSpec() instead.
+ * @param {Object} operations - Same map as for buildOpenApiSpec()
+ * @returns {Function} Express middleware, to mount before the routes
+ */
+export const validateResponses = (operations) => (req, res, next) => {
+  const json = res.json;
+  res.json = function (body) {
+    const key =
+      req.route && operationKey(req.method, req.baseUrl + req.route.path);
+    if (operations[key] && body !== null && typeof body === "object") {
+      const mismatches = checkResponse(operations[key], res.statusCode, body);
+      if (mismatches.length > 0) {
+        logger.error(
+          `${key}: ${res.statusCode} response does not match the spec: ${mismatches.join("; ")}`
+        );
+        return sendProblem(
+          req,
+          res,
+          new AppError("Response does not match the API specification", 500, {
+            code: "RESPONSE_SCHEMA_MISMATCH",
+            errors: mismatches,
+          })
+        );
+      }
+    }
+    return json.call(this, body);
+  };
+  next();
+};
@@ -0,0 +1,121 @@
+import { hashRing } from "./consistentHash.js";
+
+// Fixed window: one counter per key that expires with the window.
+const FIXED_INCREMENT_SCRIPT = `
+local hits = redis.call("INCR", KEYS[1])
+local ttl = redis.call("PTTL", KEYS[1])
+if ttl < 0 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+const FIXED_DECREMENT_SCRIPT = `
+if tonumber(redis.call("GET", KEYS[1]) or "0") > 0 then
+  redis.call("DECR", KEYS[1])
+end
+return 0
+`;
+
+// Sliding window (approximated): a hash of per-window counters, where the
+// previous window's count is weighted by how much of it still overlaps the
+// sliding window. Uses the Redis clock so every app instance agrees on windows.
+const SLIDING_INCREMENT_SCRIPT = `
+local t = redis.call("TIME")
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local window = tonumber(ARGV[1])
+local current = math.floor(now / window)
+local hits = redis.call("HINCRBY", KEYS[1], current, 1)
+local previous = tonumber(redis.call("HGET", KEYS[1], current - 1) or "0")
+for _, field in ipairs(redis.call("HKEYS", KEYS[1])) do
+  if tonumber(field) < current - 1 then
+    redis.call("HDEL", KEYS[1], field)
+  end
+end
+redis.call("PEXPIRE", KEYS[1], window * 2)
+local elapsed = now - current * window
+local weighted = math.floor(previous * (window - elapsed) / window) + hits
+return { weighted, window - elapsed }
+`;
+
+// express-rate-limit doesn't say which window a hit was counted in. It is
+// the current one unless the window rolled over since; then the current
+// counter is usually still empty and the previous one gives the hit back.
+// Counters never go below zero.
+const SLIDING_DECREMENT_SCRIPT = `
+local t = redis.call("TIME")
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local current = math.floor(now / tonumber(ARGV[1]))
+for _, field in ipairs({ current, current - 1 }) do
+  if tonumber(redis.call("HGET", KEYS[1], field) or "0") > 0 then
+    redis.call("HINCRBY", KEYS[1], field, -1)
+    return 0
+  end
+end
+return 0
+`;
+
+/**
+ * express-rate-limit store that shards keys across the Redis hash ring, so
+ * every app instance shares the same counters.
+ */
+export class RedisRingStore {
+  /**
+   * @param {Object} options - Store configuration
+   * @param {string} options.prefix - Key prefix, unique per limiter
+   * @param {string} options.algorithm - "sliding" (default) or "fixed"
+   * @param {Object} options.ring - Hash ring to shard keys across (default: hashRing)
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || "rl:";
+    this.algorithm = options.algorithm || "sliding";
+    this.ring = options.ring || hashRing;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  prefixKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  getClient(key) {
+    return this.ring.getServer(key).client;
+  }
+
+  async run(script, key, args) {
+    const prefixedKey = this.prefixKey(key);
+    return this.getClient(prefixedKey).eval(script, {
+      keys: [prefixedKey],
+      arguments: args.map(String),
+    });
+  }
+
+  async increment(key) {
+    const [totalHits, msUntilReset] =
+      this.algorithm === "fixed"
+        ? await this.run(FIXED_INCREMENT_SCRIPT, key, [this.windowMs])
+        : await this.run(SLIDING_INCREMENT_SCRIPT, key, [this.windowMs]);
+
+    return {
+      totalHits: Number(totalHits),
+      resetTime: new Date(Date.now() + Number(msUntilReset)),
+    };
+  }
+
+  async decrement(key) {
+    if (this.algorithm === "fixed") {
+      await this.run(FIXED_DECREMENT_SCRIPT, key, []);
+    } else {
+      await this.run(SLIDING_DECREMENT_SCRIPT, key, [this.windowMs]);
+    }
+  }
+
+  async resetKey(key) {
+    const prefixedKey = this.prefixKey(key);
+    await this.getClient(prefixedKey).del(prefixedKey);
+  }
+}
@@ -0,0 +1,257 @@
+import crypto from "crypto";
+import { hashRing } from "./consistentHash.js";
+import { logger } from "./logger.js";
+
+// Tombstones keep a delete from being undone by read repair from a replica
+// that missed it. They only need to outlive a replica's outage.
+const TOMBSTONE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// A replica that takes longer counts as failed for the quorum
+const DEFAULT_TIMEOUT_MS = 1000;
+
+// The time part never repeats within a process, so two writes made in the
+// same millisecond still apply in order instead of by random tiebreak
+let lastVersionTime = 0;
+const newVersion = () => {
+  lastVersionTime = Math.max(Date.now(), lastVersionTime + 1);
+  return `${lastVersionTime}-${crypto.randomBytes(4).toString("hex")}`;
+};
+
+// Versions are "<epoch ms>-<random>", compared numerically then by tiebreak
+const compareVersions = (a, b) => {
+  const [timeA, tieA] = a.split("-");
+  const [timeB, tieB] = b.split("-");
+  if (Number(timeA) !== Number(timeB)) return Number(timeA) - Number(timeB);
+  return tieA < tieB ? -1 : tieA > tieB ? 1 : 0;
+};
+
+const parseRecord = (raw) => {
+  if (raw === null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+};
+
+export class QuorumError extends Error {
+  constructor(operation, required, succeeded) {
+    super(
+      `${operation} quorum not reached: ${succeeded} of ${required} replicas responded`
+    );
+    this.required = required;
+    this.succeeded = succeeded;
+  }
+}
+
+const withTimeout = (promise, ms, name) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Replica ${name} didn't answer within ${ms} ms`)),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Resolves with the replies received once `required` replicas answered, or
+// rejects as soon as too many failed for that to happen. Replicas that were
+// skipped (total - calls.length) count as failed. `settled` resolves with
+// every reply once all calls are done.
+const awaitQuorum = (operation, calls, total, required) => {
+  const replies = [];
+  let failures = total - calls.length;
+
+  const quorum = new Promise((resolve, reject) => {
+    const check = () => {
+      if (replies.length >= required) {
+        resolve([...replies]);
+      } else if (total - failures < required) {
+        reject(new QuorumError(operation, required, replies.length));
+      }
+    };
+    check();
+    calls.forEach((call) =>
+      call.then(
+        (reply) => {
+          replies.push(reply);
+          check();
+        },
+        () => {
+          failures += 1;
+          check();
+        }
+      )
+    );
+  });
+
+  const settled = Promise.allSettled(calls).then(() => replies);
+  return { quorum, settled };
+};
+
+// Replies required from the key's nodes. A ring with fewer nodes than
+// replicas needs all of them, and one with no nodes can't reach any quorum.
+const requiredReplies = (quorum, nodes) =>
+  Math.max(1, Math.min(quorum, nodes.length));
+
+const newestReply = (replies) =>
+  replies.reduce((best, reply) => {
+    if (!reply.record) return best;
+    if (!best || compareVersions(reply.record.version, best.record.version) > 0) {
+      return reply;
+    }
+    return best;
+  }, null);
+
+/**
+ * Key/value store that writes every key to the first N distinct nodes of a
+ * hash ring, reads with a configurable quorum and repairs stale replicas on
+ * read. Conflicts are resolved last-write-wins by version timestamp.
+ * Unhealthy replicas are skipped and slow ones time out, and operations
+ * return as soon as their quorum is reached, so a node that is down or
+ * reconnecting never stalls them.
+ */
+export class ReplicatedStore {
+  /**
+   * @param {Object} options - Store configuration
+   * @param {ConsistentHash} options.ring - Ring to place replicas on (default: hashRing)
+   * @param {number} options.replicas - Copies kept of every key (default: 2)
+   * @param {number} options.writeQuorum - Acks required for a write to
+   *   succeed (default: a majority of replicas)
+   * @param {number} options.readQuorum - Replies required for a read to
+   *   succeed (default: replicas - writeQuorum + 1)
+   * @param {string} options.prefix - Key prefix (default: "rep:")
+   * @param {number} options.timeoutMs - Time each replica gets to answer
+   *   (default: 1000)
+   */
+  constructor(options = {}) {
+    this.ring = options.ring || hashRing;
+    this.replicas = options.replicas || 2;
+    // Majority writes survive losing a node, and reads overlapping every
+    // write quorum (W + R > N) always see the latest write
+    this.writeQuorum =
+      options.writeQuorum || Math.floor(this.replicas / 2) + 1;
+    this.readQuorum =
+      options.readQuorum || this.replicas - this.writeQuorum + 1;
+    if (this.writeQuorum + this.readQuorum <= this.replicas) {
+      logger.warn(
+        `Read quorum ${this.readQuorum} and write quorum ${this.writeQuorum} don't overlap across ${this.replicas} replicas, so reads may miss the latest write`
+      );
+    }
+    this.prefix = options.prefix || "rep:";
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  nodesFor(key) {
+    return this.ring.getServers(`${this.prefix}${key}`, this.replicas);
+  }
+
+  // Runs `command` on every healthy replica, each within timeoutMs. A
+  // client that isn't ready would only queue the command until it reconnects.
+  callReplicas(nodes, command) {
+    return nodes
+      .filter((node) => this.ring.isHealthy(node))
+      .map((node) =>
+        withTimeout(command(node), this.timeoutMs, node.name)
+      );
+  }
+
+  async writeRecord(key, record, ttlMs) {
+    const fullKey = `${this.prefix}${key}`;
+    const nodes = this.nodesFor(key);
+    const payload = JSON.stringify(record);
+    const calls = this.callReplicas(nodes, ({ client }) =>
+      client.set(fullKey, payload, ttlMs ? { PX: ttlMs } : undefined)
+    );
+
+    const required = requiredReplies(this.writeQuorum, nodes);
+    await awaitQuorum("Write", calls, nodes.length, required).quorum;
+  }
+
+  /**
+   * Store a JSON-serializable value on every replica
+   * @param {string} key - Key
+   * @param {*} value - Value to store
+   * @param {Object} options - Write options
+   * @param {number} options.ttl - Time to live in seconds
+   * @returns {Promise<void>}
+   * @throws {QuorumError} When fewer than writeQuorum replicas acknowledge
+   */
+  async set(key, value, options = {}) {
+    const ttlMs = options.ttl ? options.ttl * 1000 : undefined;
+    await this.writeRecord(key, { version: newVersion(), value }, ttlMs);
+  }
+
+  /**
+   * Delete a key on every replica
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   * @throws {QuorumError} When fewer than writeQuorum replicas acknowledge
+   */
+  async del(key) {
+    await this.writeRecord(
+      key,
+      { version: newVersion(), deleted: true },
+      TOMBSTONE_TTL_MS
+    );
+  }
+
+  /**
+   * Read a key from its replicas, returning the newest value and repairing
+   * replicas that are missing it or hold an older version
+   * @param {string} key - Key
+   * @returns {Promise<*>} Stored value, or null if missing or deleted
+   * @throws {QuorumError} When fewer than readQuorum replicas reply
+   */
+  async get(key) {
+    const fullKey = `${this.prefix}${key}`;
+    const nodes = this.nodesFor(key);
+    const calls = this.callReplicas(nodes, async ({ name, client }) => {
+      const [raw, ttl] = await Promise.all([
+        client.get(fullKey),
+        client.pTTL(fullKey),
+      ]);
+      return { name, client, record: parseRecord(raw), ttl };
+    });
+
+    const required = requiredReplies(this.readQuorum, nodes);
+    const { quorum, settled } = awaitQuorum(
+      "Read",
+      calls,
+      nodes.length,
+      required
+    );
+    const replies = await quorum;
+    // Replicas answering after the quorum are still repaired
+    settled.then((all) => this.repair(fullKey, all));
+
+    const newest = newestReply(replies);
+    return newest && !newest.record.deleted ? newest.record.value : null;
+  }
+
+  // Fire-and-forget: a failed repair is retried by the next read
+  repair(fullKey, replies) {
+    const newest = newestReply(replies);
+    if (!newest) return;
+    if (newest.ttl === -2) return; // Expired while reading
+    const stale = replies.filter(
+      (reply) =>
+        !reply.record ||
+        compareVersions(reply.record.version, newest.record.version) < 0
+    );
+    const payload = JSON.stringify(newest.record);
+    const options = newest.ttl > 0 ? { PX: newest.ttl } : undefined;
+    stale.forEach(({ name, client }) => {
+      client.set(fullKey, payload, options).catch((error) => {
+        logger.warn(`Read repair of ${fullKey} on ${name} failed: ${error.message}`);
+      });
+    });
+  }
+}
+
+export const replicatedStore = new ReplicatedStore({
+  replicas: Number(process.env.REDIS_REPLICATION_FACTOR) || 2,
+  writeQuorum: Number(process.env.REDIS_WRITE_QUORUM) || undefined,
+  readQuorum: Number(process.env.REDIS_READ_QUORUM) || undefined,
+});
@@ -0,0 +1,71 @@
+import { AsyncLocalStorage, AsyncResource } from "async_hooks";
+import crypto from "crypto";
+
+const storage = new AsyncLocalStorage();
+
+// IDs from clients or proxies are kept if they look like one; anything else
+// (too long, or with characters that could forge log lines) is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an ID, taken from the X-Request-Id header when the
+ * client sent a usable one, and echo it in the response. The rest of the
+ * request runs with that ID in its context, see getRequestContext().
+ */
+export const requestContextMiddleware = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+  storage.run({ requestId, req }, next);
+};
+
+/**
+ * Remember where a router is mounted: app.use(path, recordMountPath, router).
+ * Express resets req.baseUrl when an error leaves the router, and the error
+ * handler's logs and the metrics still need the full route.
+ */
+export const recordMountPath = (req, res, next) => {
+  req.mountPath = req.baseUrl;
+  next();
+};
+
+/**
+ * Template of the route that matched the request, e.g. /api/v1/posts/:id
+ * @param {Object} req - Express request
+ * @returns {string|undefined} undefined when no route matched (yet)
+ */
+export const routeTemplate = (req) =>
+  req.route ? `${req.mountPath ?? req.baseUrl}${req.route.path}` : undefined;
+
+/**
+ * Context of the request being handled, for log entries. userId and route
+ * are read when called, so they appear once authenticateToken and the
+ * router have run.
+ * @returns {Object} { requestId, userId, route }, or {} outside a request
+ */
+export const getRequestContext = () => {
+  const store = storage.getStore();
+  if (!store) return {};
+
+  const { requestId, req } = store;
+  const route = routeTemplate(req);
+  return {
+    requestId,
+    ...(req.user && req.user.userId && { userId: String(req.user.userId) }),
+    ...(route && { route: `${req.method} ${route}` }),
+  };
+};
+
+/**
+ * Run a callback in the current request's context. For libraries that call
+ * back from their own event handlers (e.g. multer), where the context would
+ * otherwise be lost.
+ * @param {Function} callback
+ * @returns {Function} Bound callback
+ */
+export const bindRequestContext = (callback) => AsyncResource.bind(callback);
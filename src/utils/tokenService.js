@@ -0,0 +1,288 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { hashRing } from "./consistentHash.js";
+import { AuthenticationError } from "./errorHandler.js";
+import { logger } from "./logger.js";
+import { replicatedStore } from "./replicatedStore.js";
+
+const ACCESS_TOKEN_EXPIRES_IN = "15m";
+const REFRESH_TOKEN_EXPIRES_IN = "7d";
+
+// Atomically swaps the family's current jti for a new one. Returns -1 when the
+// family no longer exists, 0 when a stale token was replayed (the family is
+// revoked) and 1 on a successful rotation.
+const ROTATE_SCRIPT = `
+local current = redis.call("GET", KEYS[1])
+if not current then
+  return -1
+end
+if current ~= ARGV[1] then
+  redis.call("DEL", KEYS[1])
+  return 0
+end
+redis.call("SET", KEYS[1], ARGV[2], "EX", ARGV[3])
+return 1
+`;
+
+const familyKey = (familyId) => `refresh:family:${familyId}`;
+// Revocations are replicated so losing one Redis node can't un-revoke tokens
+const denylistKey = (jti) => `denylist:${jti}`;
+const revokedBeforeKey = (userId) => `revoked-before:${userId}`;
+const getClient = (key) => hashRing.getServer(key).client;
+
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET;
+
+/**
+ * Check the signing secrets at startup. Refresh tokens need a secret of their
+ * own, so a refresh token can never pass as an access token.
+ * @throws {Error} When JWT_SECRET or JWT_REFRESH_SECRET is missing, or both
+ *   are the same
+ */
+export const assertTokenSecrets = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET must be set");
+  }
+  if (!process.env.JWT_REFRESH_SECRET) {
+    throw new Error("JWT_REFRESH_SECRET must be set");
+  }
+  if (process.env.JWT_REFRESH_SECRET === process.env.JWT_SECRET) {
+    throw new Error("JWT_REFRESH_SECRET must differ from JWT_SECRET");
+  }
+};
+
+const secondsUntil = (exp) => Math.max(exp - Math.floor(Date.now() / 1000), 1);
+
+const accessTokenExpiresIn = () =>
+  process.env.JWT_ACCESS_EXPIRES_IN || ACCESS_TOKEN_EXPIRES_IN;
+const refreshTokenExpiresIn = () =>
+  process.env.JWT_REFRESH_EXPIRES_IN || REFRESH_TOKEN_EXPIRES_IN;
+
+// Lifetime in seconds of a token signed with `expiresIn` ("7d", 3600, ...),
+// parsed by jsonwebtoken exactly as when signing
+const lifetimeOf = (expiresIn) => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, "lifetime", { expiresIn }));
+  return exp - iat;
+};
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User document (needs _id and email)
+ * @param {number|null} authTime - When the user signed in, in epoch seconds
+ *   (null when unknown); carried over from the refresh token on refresh
+ * @returns {string} Signed JWT
+ */
+export const signAccessToken = (user, authTime = null) =>
+  jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      ...(authTime ? { authTime } : {}),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenExpiresIn(), jwtid: crypto.randomUUID() }
+  );
+
+const signRefreshToken = (userId, familyId, authTime) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { userId, familyId, type: "refresh", ...(authTime ? { authTime } : {}) },
+    getRefreshSecret(),
+    { expiresIn: refreshTokenExpiresIn(), jwtid: jti }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, jti, ttl: secondsUntil(exp) };
+};
+
+/**
+ * Start a new refresh token family for a user
+ * @param {string} userId - ID of the user the family belongs to
+ * @param {number|null} authTime - When the user signed in, in epoch seconds
+ * @returns {Promise<string>} The first refresh token of the family
+ */
+export const createRefreshToken = async (userId, authTime = null) => {
+  const familyId = crypto.randomUUID();
+  const { token, jti, ttl } = signRefreshToken(
+    String(userId),
+    familyId,
+    authTime
+  );
+  const key = familyKey(familyId);
+  await getClient(key).set(key, jti, { EX: ttl });
+  return token;
+};
+
+/**
+ * Issue an access/refresh token pair for a freshly authenticated user
+ * @param {Object} user - User document
+ * @param {Object} options - Token options
+ * @param {number|null} options.authTime - When the user signed in, in epoch
+ *   seconds (default: now; null when unknown, e.g. an OAuth provider that
+ *   didn't say)
+ * @returns {Promise<{accessToken: string, refreshToken: string}>}
+ */
+export const issueTokens = async (
+  user,
+  { authTime = Math.floor(Date.now() / 1000) } = {}
+) => ({
+  accessToken: signAccessToken(user, authTime),
+  refreshToken: await createRefreshToken(user._id, authTime),
+});
+
+const invalidRefreshToken = () =>
+  new AuthenticationError("Invalid or expired refresh token", {
+    code: "INVALID_REFRESH_TOKEN",
+  });
+
+const revokedRefreshToken = () =>
+  new AuthenticationError("Refresh token has been revoked", {
+    code: "TOKEN_REVOKED",
+  });
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Replaying a token that has already been rotated revokes the whole family.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Promise<{userId: string, familyId: string, authTime: ?number,
+ *   refreshToken: string}>}
+ * @throws {AuthenticationError} When the token is invalid, expired, revoked
+ *   or reused
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, getRefreshSecret());
+  } catch (error) {
+    throw invalidRefreshToken();
+  }
+
+  if (payload.type !== "refresh" || !payload.familyId || !payload.jti) {
+    throw invalidRefreshToken();
+  }
+
+  const { userId, familyId } = payload;
+  if (await isIssuedBeforeCutoff(userId, payload.iat)) {
+    await revokeTokenFamily(familyId);
+    throw revokedRefreshToken();
+  }
+
+  const next = signRefreshToken(userId, familyId, payload.authTime);
+  const key = familyKey(familyId);
+
+  const result = await getClient(key).eval(ROTATE_SCRIPT, {
+    keys: [key],
+    arguments: [payload.jti, next.jti, String(next.ttl)],
+  });
+
+  if (result === 0) {
+    logger.warn(
+      `Refresh token reuse detected for user ${userId}, revoking family ${familyId}`
+    );
+    throw revokedRefreshToken();
+  }
+  if (result !== 1) {
+    throw revokedRefreshToken();
+  }
+
+  return {
+    userId,
+    familyId,
+    authTime: payload.authTime || null,
+    refreshToken: next.token,
+  };
+};
+
+/**
+ * Revoke every refresh token in a family
+ * @param {string} familyId - Token family ID
+ * @returns {Promise<void>}
+ */
+export const revokeTokenFamily = async (familyId) => {
+  const key = familyKey(familyId);
+  await getClient(key).del(key);
+};
+
+/**
+ * Revoke the refresh token family a refresh token belongs to.
+ * Tokens that fail verification or belong to another user are ignored.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {string} userId - ID of the user the token must belong to
+ * @returns {Promise<void>}
+ */
+export const revokeRefreshToken = async (refreshToken, userId) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, getRefreshSecret(), {
+      ignoreExpiration: true,
+    });
+  } catch (error) {
+    return;
+  }
+  if (payload.type === "refresh" && String(payload.userId) === String(userId)) {
+    await revokeTokenFamily(payload.familyId);
+  }
+};
+
+/**
+ * Add an access token to the denylist until it would have expired anyway
+ * @param {Object} payload - Decoded access token (needs jti and exp)
+ * @returns {Promise<void>}
+ */
+export const revokeAccessToken = async ({ jti, exp }) => {
+  if (!jti || !exp) return;
+  await replicatedStore.set(denylistKey(jti), true, { ttl: secondsUntil(exp) });
+};
+
+/**
+ * Invalidate every access and refresh token issued to a user before now.
+ * The cutoff is kept until the last of those tokens would have expired.
+ * @param {string} userId - ID of the user
+ * @returns {Promise<void>}
+ */
+export const revokeAllUserTokens = async (userId) => {
+  const ttl = Math.max(
+    lifetimeOf(accessTokenExpiresIn()),
+    lifetimeOf(refreshTokenExpiresIn())
+  );
+  await replicatedStore.set(
+    revokedBeforeKey(userId),
+    Math.floor(Date.now() / 1000),
+    { ttl }
+  );
+};
+
+// iat only has second precision, so tokens issued in the same second as the
+// cutoff are still accepted. Otherwise a session started right after a
+// "log out everywhere" would be rejected too.
+const isIssuedBeforeCutoff = async (userId, iat) => {
+  const cutoff = await replicatedStore.get(revokedBeforeKey(userId));
+  return cutoff !== null && iat < cutoff;
+};
+
+/**
+ * Check whether a verified access token has been revoked
+ * @param {Object} payload - Decoded access token
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+export const isAccessTokenRevoked = async (payload) => {
+  if (payload.jti && (await replicatedStore.get(denylistKey(payload.jti)))) {
+    return true;
+  }
+  return isIssuedBeforeCutoff(payload.userId, payload.iat);
+};
+
+/**
+ * Hash a one-time token (email verification, password reset) for storage
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Generate a random one-time token. Only the hash should be persisted.
+ * @returns {{token: string, hash: string}}
+ */
+export const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, hash: hashToken(token) };
+};
@@ -0,0 +1,236 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { hashRing } from "./consistentHash.js";
+import { AuthenticationError } from "./errorHandler.js";
+
+const MFA_TOKEN_EXPIRES_IN = 5 * 60; // Seconds to enter a code after the password
+const ENROLLMENT_TOKEN_EXPIRES_IN = 15 * 60; // Seconds to enroll after signing in
+const MAX_MFA_ATTEMPTS = 5;
+const MFA_LOCKOUT = 15 * 60; // Seconds a signed-in user waits after MAX_MFA_ATTEMPTS
+const RECOVERY_CODE_COUNT = 10;
+
+// A pending sign-in: { userId, attempts }, deleted once it succeeds or runs
+// out of attempts
+const challengeKey = (jti) => `mfa:challenge:${jti}`;
+// Wrong codes from a signed-in user (turning 2FA off, new recovery codes),
+// counted for MFA_LOCKOUT seconds from the first one
+const userAttemptsKey = (userId) => `mfa:attempts:${userId}`;
+const getClient = (key) => hashRing.getServer(key).client;
+
+const invalidChallenge = () =>
+  new AuthenticationError("Invalid or expired sign-in token", {
+    code: "INVALID_MFA_TOKEN",
+  });
+
+/**
+ * Issuer shown in authenticator apps
+ * @returns {string}
+ */
+export const getTwoFactorIssuer = () =>
+  process.env.TWO_FACTOR_ISSUER || "express-starter";
+
+/**
+ * Whether a user's role must use two-factor authentication
+ * (REQUIRE_ADMIN_2FA=true makes it mandatory for admins)
+ * @param {Object} user - User document (needs role)
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (user) =>
+  user.role === "admin" && process.env.REQUIRE_ADMIN_2FA === "true";
+
+// TOTP secrets have to be readable to check codes, so unlike passwords and
+// recovery codes they are encrypted rather than hashed
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32-encoded secret
+ * @returns {string} iv.tag.ciphertext, each base64url
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {string} value - Stored value
+ * @returns {string} Base32-encoded secret
+ */
+export const decryptSecret = (value) => {
+  const [iv, tag, ciphertext] = value
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString();
+};
+
+/**
+ * Hash a recovery code for storage or lookup. Case and dashes are ignored so
+ * codes can be typed however they were written down.
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex");
+
+/**
+ * Generate a fresh set of single-use recovery codes
+ * @returns {{codes: string[], hashes: string[]}} Codes to show the user once
+ *   and the hashes to store
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Start the second step of a sign-in for a user with 2FA enabled
+ * @param {Object} user - User document
+ * @returns {Promise<{token: string, expiresIn: number}>} Short-lived token
+ *   that can only be exchanged at /auth/2fa/verify
+ */
+export const createMfaChallenge = async (user) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { userId: user._id, type: "mfa" },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_TOKEN_EXPIRES_IN, jwtid: jti }
+  );
+  const key = challengeKey(jti);
+  await getClient(key)
+    .multi()
+    .hSet(key, { userId: String(user._id), attempts: 0 })
+    .expire(key, MFA_TOKEN_EXPIRES_IN)
+    .exec();
+  return { token, expiresIn: MFA_TOKEN_EXPIRES_IN };
+};
+
+/**
+ * Sign a token that only opens the enrollment routes, for a user who must
+ * enable 2FA (see isTwoFactorRequired) before getting a session
+ * @param {Object} user - User document
+ * @returns {{token: string, expiresIn: number}} Token accepted by
+ *   authenticateEnrollment
+ */
+export const signEnrollmentToken = (user) => ({
+  token: jwt.sign(
+    { userId: user._id, email: user.email, type: "2fa-enroll" },
+    process.env.JWT_SECRET,
+    { expiresIn: ENROLLMENT_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+  ),
+  expiresIn: ENROLLMENT_TOKEN_EXPIRES_IN,
+});
+
+/**
+ * Look up the pending sign-in an MFA token belongs to
+ * @param {string} token - Token returned by login
+ * @returns {Promise<{jti: string, userId: string}>}
+ * @throws {AuthenticationError} When the token is invalid, expired or used up
+ */
+export const loadMfaChallenge = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw invalidChallenge();
+  }
+  if (payload.type !== "mfa" || !payload.jti) {
+    throw invalidChallenge();
+  }
+
+  const key = challengeKey(payload.jti);
+  const challenge = await getClient(key).hGetAll(key);
+  if (!challenge || challenge.userId !== String(payload.userId)) {
+    throw invalidChallenge();
+  }
+  return { jti: payload.jti, userId: challenge.userId };
+};
+
+/**
+ * Count a wrong code against a pending sign-in
+ * @param {string} jti - Challenge ID
+ * @returns {Promise<number>} Attempts left; at 0 the challenge is gone and
+ *   the user has to log in again
+ */
+export const recordMfaFailure = async (jti) => {
+  const key = challengeKey(jti);
+  // NX: if the challenge expired meanwhile, the counter left behind expires too
+  const [attempts] = await getClient(key)
+    .multi()
+    .hIncrBy(key, "attempts", 1)
+    .expire(key, MFA_TOKEN_EXPIRES_IN, "NX")
+    .exec();
+  const remaining = Math.max(MAX_MFA_ATTEMPTS - attempts, 0);
+  if (remaining === 0) {
+    await getClient(key).del(key);
+  }
+  return remaining;
+};
+
+/**
+ * Time a signed-in user has to wait after running out of code attempts
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Seconds, 0 while attempts remain
+ */
+export const getMfaLockout = async (userId) => {
+  const key = userAttemptsKey(userId);
+  const client = getClient(key);
+  const [attempts, ttl] = await Promise.all([client.get(key), client.ttl(key)]);
+  return Number(attempts) >= MAX_MFA_ATTEMPTS ? Math.max(ttl, 1) : 0;
+};
+
+/**
+ * Count a wrong code from a signed-in user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Attempts left; at 0 the user is locked out for
+ *   MFA_LOCKOUT seconds
+ */
+export const recordUserMfaFailure = async (userId) => {
+  const key = userAttemptsKey(userId);
+  const [attempts] = await getClient(key)
+    .multi()
+    .incr(key)
+    .expire(key, MFA_LOCKOUT, "NX")
+    .exec();
+  return Math.max(MAX_MFA_ATTEMPTS - attempts, 0);
+};
+
+/**
+ * Forget a signed-in user's wrong codes after a correct one
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const resetUserMfaFailures = async (userId) => {
+  const key = userAttemptsKey(userId);
+  await getClient(key).del(key);
+};
+
+/**
+ * End a pending sign-in after a correct code. Only one caller gets true, so
+ * a challenge can't be exchanged for tokens twice.
+ * @param {string} jti - Challenge ID
+ * @returns {Promise<boolean>}
+ */
+export const completeMfaChallenge = async (jti) => {
+  const key = challengeKey(jti);
+  return (await getClient(key).del(key)) === 1;
+};
@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import { RESP_TYPES } from "redis";
+import { hashRing } from "./consistentHash.js";
+
+const defaultSessionConfig = {
+  directTtl: 15 * 60, // Seconds a signed direct upload stays valid
+  chunkedTtl: 24 * 60 * 60, // Seconds an idle chunked upload is kept
+  claimTtl: 24 * 60 * 60, // Seconds a completed upload waits to be used
+};
+
+// A direct upload is one hash. A chunked upload is two hashes on the shard of
+// its metadata key, so every command for one upload hits the same node:
+//   upload:chunked:<id>          userId, preset, contentType, size,
+//                                chunkSize, totalChunks, completing
+//   upload:chunked:<id>:chunks   <index> -> chunk bytes
+const directKey = (id) => `upload:direct:${id}`;
+const chunkedKey = (id) => `upload:chunked:${id}`;
+const chunksKey = (id) => `${chunkedKey(id)}:chunks`;
+const getClient = (key) => hashRing.getServer(key).client;
+
+const NUMERIC_FIELDS = ["size", "chunkSize", "totalChunks"];
+
+const parseSession = (id, fields) => {
+  if (!fields || Object.keys(fields).length === 0) return null;
+  const session = { id, ...fields };
+  NUMERIC_FIELDS.forEach((name) => {
+    if (name in session) session[name] = Number(session[name]);
+  });
+  return session;
+};
+
+/**
+ * Create a store for pending direct uploads and chunked upload sessions
+ * @param {Object} options - Overrides for defaultSessionConfig
+ * @returns {Object} Upload session operations and the resolved config
+ */
+export const createUploadSessions = (options = {}) => {
+  const config = { ...defaultSessionConfig, ...options };
+
+  /**
+   * Record a signed direct upload until the client confirms it
+   * @param {string} id - Upload ID
+   * @param {Object} upload - { userId, preset, contentType, size, publicId }
+   * @returns {Promise<void>}
+   */
+  const createDirect = async (id, upload) => {
+    const key = directKey(id);
+    await getClient(key)
+      .multi()
+      .hSet(key, upload)
+      .expire(key, config.directTtl)
+      .exec();
+  };
+
+  /**
+   * Look up a pending direct upload
+   * @param {string} id - Upload ID
+   * @returns {Promise<Object|null>}
+   */
+  const getDirect = async (id) => {
+    const key = directKey(id);
+    return parseSession(id, await getClient(key).hGetAll(key));
+  };
+
+  /**
+   * Remove a pending direct upload. Only one caller gets true, so a
+   * confirmation can't be processed twice.
+   * @param {string} id - Upload ID
+   * @returns {Promise<boolean>} True if this call removed it
+   */
+  const claimDirect = async (id) => {
+    const key = directKey(id);
+    return (await getClient(key).del(key)) === 1;
+  };
+
+  /**
+   * Start a chunked upload
+   * @param {Object} upload - { userId, preset, contentType, size, chunkSize }
+   * @returns {Promise<Object>} The session, including id and totalChunks
+   */
+  const createChunked = async (upload) => {
+    const id = crypto.randomUUID();
+    const key = chunkedKey(id);
+    const fields = {
+      ...upload,
+      totalChunks: Math.ceil(upload.size / upload.chunkSize),
+    };
+    await getClient(key)
+      .multi()
+      .hSet(key, fields)
+      .expire(key, config.chunkedTtl)
+      .exec();
+    return parseSession(id, fields);
+  };
+
+  /**
+   * Look up a chunked upload and the chunks received so far
+   * @param {string} id - Upload ID
+   * @returns {Promise<Object|null>} The session with a sorted `received` list
+   *   of chunk indexes, or null if it expired or never existed
+   */
+  const getChunked = async (id) => {
+    const key = chunkedKey(id);
+    const [fields, received] = await getClient(key)
+      .multi()
+      .hGetAll(key)
+      .hKeys(chunksKey(id))
+      .exec();
+    const session = parseSession(id, fields);
+    if (!session) return null;
+    session.received = received.map(Number).sort((a, b) => a - b);
+    return session;
+  };
+
+  /**
+   * Store one chunk (re-sending a chunk overwrites it) and extend the
+   * session's lifetime
+   * @param {string} id - Upload ID
+   * @param {number} index - Zero-based chunk index
+   * @param {Buffer} data - Chunk bytes
+   * @returns {Promise<void>}
+   */
+  const storeChunk = async (id, index, data) => {
+    const key = chunkedKey(id);
+    await getClient(key)
+      .multi()
+      .hSet(chunksKey(id), String(index), data)
+      .expire(key, config.chunkedTtl)
+      .expire(chunksKey(id), config.chunkedTtl)
+      .exec();
+  };
+
+  /**
+   * Join the chunks of an upload in order
+   * @param {Object} session - Session from getChunked
+   * @returns {Promise<Buffer>} File contents
+   * @throws {Error} When a chunk is missing
+   */
+  const readChunks = async (session) => {
+    const key = chunkedKey(session.id);
+    const indexes = Array.from({ length: session.totalChunks }, (_, i) =>
+      String(i)
+    );
+    const chunks = await getClient(key)
+      .withTypeMapping({ [RESP_TYPES.BLOB_STRING]: Buffer })
+      .hmGet(chunksKey(session.id), indexes);
+    if (chunks.some((chunk) => chunk === null)) {
+      throw new Error(`Upload ${session.id} is missing chunks`);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  /**
+   * Mark a chunked upload as being completed. Only one caller gets true.
+   * @param {string} id - Upload ID
+   * @returns {Promise<boolean>}
+   */
+  const claimChunked = async (id) => {
+    const key = chunkedKey(id);
+    return Boolean(await getClient(key).hSetNX(key, "completing", "1"));
+  };
+
+  /**
+   * Undo claimChunked so completion can be retried
+   * @param {string} id - Upload ID
+   * @returns {Promise<void>}
+   */
+  const releaseChunked = async (id) => {
+    const key = chunkedKey(id);
+    await getClient(key).hDel(key, "completing");
+  };
+
+  /**
+   * Delete a chunked upload and its chunks
+   * @param {string} id - Upload ID
+   * @returns {Promise<void>}
+   */
+  const removeChunked = async (id) => {
+    const key = chunkedKey(id);
+    await getClient(key).del([key, chunksKey(id)]);
+  };
+
+  return {
+    createDirect,
+    getDirect,
+    claimDirect,
+    createChunked,
+    getChunked,
+    storeChunk,
+    readChunks,
+    claimChunked,
+    releaseChunked,
+    removeChunked,
+    config,
+  };
+};
+
+export const uploadSessions = createUploadSessions();
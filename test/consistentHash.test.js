@@ -0,0 +1,167 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  ConsistentHash,
+  getMovedKeys,
+  getMovedRanges,
+} from "../src/utils/consistentHash.js";
+
+const keys = Array.from({ length: 10000 }, (_, i) => `key:${i}`);
+
+const node = (name, extra = {}) => ({
+  name,
+  client: { isReady: true },
+  ...extra,
+});
+
+// Enough virtual nodes for shares to follow the weights closely
+const createRing = (nodes, options = {}) =>
+  new ConsistentHash(nodes, { replicas: 200, ...options });
+
+const shares = (ring) => {
+  const counts = {};
+  for (const key of keys) {
+    const { name } = ring.getPrimary(key);
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  return Object.fromEntries(
+    Object.entries(counts).map(([name, count]) => [name, count / keys.length])
+  );
+};
+
+const assertNear = (actual, expected, tolerance = 0.05) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+};
+
+describe("ConsistentHash", () => {
+  it("spreads keys in proportion to node weight", () => {
+    const ring = createRing([node("a"), node("b", { weight: 3 })]);
+    const share = shares(ring);
+
+    assertNear(share.a, 0.25);
+    assertNear(share.b, 0.75);
+  });
+
+  it("only moves the keys of a removed node", () => {
+    const before = createRing([node("a"), node("b"), node("c")]);
+    const after = before.clone();
+    after.removeServer("b");
+
+    const moved = getMovedKeys(before, after, keys);
+    const ownedByB = keys.filter((key) => before.getPrimary(key).name === "b");
+
+    assert.equal(moved.length, ownedByB.length);
+    assert.ok(moved.every(({ from, to }) => from === "b" && to !== "b"));
+  });
+
+  it("only moves keys to an added node", () => {
+    const before = createRing([node("a"), node("b")]);
+    const after = before.clone();
+    after.addServer(node("c"));
+
+    const moved = getMovedKeys(before, after, keys);
+
+    assert.ok(moved.length > 0);
+    assert.ok(moved.every(({ to }) => to === "c"));
+    assertNear(moved.length / keys.length, 1 / 3);
+  });
+
+  it("refuses a node that is already in the ring", () => {
+    const ring = createRing([node("a")]);
+
+    assert.throws(() => ring.addServer(node("a")), /already in the ring/);
+  });
+
+  it("skips nodes that aren't ready", () => {
+    const down = node("b", { client: { isReady: false } });
+    const ring = createRing([node("a"), down, node("c")]);
+    const ownedByB = keys.filter((key) => ring.getPrimary(key).name === "b");
+
+    assert.ok(ownedByB.length > 0);
+    for (const key of ownedByB) {
+      assert.notEqual(ring.getServer(key).name, "b");
+    }
+  });
+
+  it("falls back to the primary when no node is ready", () => {
+    const ring = createRing([
+      node("a", { client: { isReady: false } }),
+      node("b", { client: { isReady: false } }),
+    ]);
+
+    for (const key of keys.slice(0, 100)) {
+      assert.equal(ring.getServer(key).name, ring.getPrimary(key).name);
+    }
+  });
+
+  it("returns distinct replica nodes, primary first", () => {
+    const ring = createRing([node("a"), node("b"), node("c")]);
+
+    for (const key of keys.slice(0, 1000)) {
+      const servers = ring.getServers(key, 2).map(({ name }) => name);
+      assert.equal(servers.length, 2);
+      assert.notEqual(servers[0], servers[1]);
+      assert.equal(servers[0], ring.getPrimary(key).name);
+    }
+    assert.equal(ring.getServers("key", 5).length, 3);
+    assert.deepEqual(createRing([]).getServers("key", 2), []);
+  });
+
+  it("shifts keys toward a node whose weight goes up", () => {
+    const before = createRing([node("a"), node("b")]);
+    const after = before.clone();
+    after.setWeight("b", 3);
+
+    const moved = getMovedKeys(before, after, keys);
+
+    assert.ok(moved.every(({ from, to }) => from === "a" && to === "b"));
+    assertNear(shares(after).b, 0.75);
+    assert.throws(() => after.setWeight("c", 2), /not in the ring/);
+  });
+});
+
+describe("getMovedRanges", () => {
+  it("reports the ranges of a removed node and their share of the key space", () => {
+    const before = createRing([node("a"), node("b"), node("c")]);
+    const after = before.clone();
+    after.removeServer("c");
+
+    const { ranges, movedFraction } = getMovedRanges(before, after);
+    const moved = getMovedKeys(before, after, keys);
+
+    assert.ok(ranges.length > 0);
+    assert.ok(ranges.every(({ from, to }) => from === "c" && to !== "c"));
+    assertNear(movedFraction, moved.length / keys.length, 0.02);
+  });
+
+  it("agrees with the owner of every key it reports", () => {
+    const before = createRing([node("a"), node("b")], { replicas: 10 });
+    const after = before.clone();
+    after.addServer(node("c"));
+
+    const { ranges } = getMovedRanges(before, after);
+    for (const { key, from, to } of getMovedKeys(before, after, keys)) {
+      const hash = before.hash(key);
+      const range = ranges.find(({ start, end }) => start <= hash && hash <= end);
+      assert.ok(range, `no moved range holds ${key}`);
+      assert.equal(range.from, from);
+      assert.equal(range.to, to);
+    }
+  });
+
+  it("reports nothing when the topology is unchanged", () => {
+    const ring = createRing([node("a"), node("b")]);
+
+    assert.deepEqual(getMovedRanges(ring, ring.clone()), {
+      ranges: [],
+      movedFraction: 0,
+    });
+    assert.deepEqual(getMovedRanges(createRing([]), createRing([])), {
+      ranges: [],
+      movedFraction: 0,
+    });
+  });
+});
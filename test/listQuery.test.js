@@ -0,0 +1,230 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import Joi from "joi";
+import mongoose from "mongoose";
+import { ValidationError } from "../src/utils/errorHandler.js";
+import { createListQuery } from "../src/utils/listQuery.js";
+
+const { ObjectId } = mongoose.Types;
+
+// Orders dates, ObjectIds, strings and numbers the way MongoDB does for a
+// single type
+const compare = (a, b) => {
+  const [x, y] = [a, b].map((value) =>
+    value instanceof Date
+      ? value.getTime()
+      : value instanceof ObjectId
+        ? value.toHexString()
+        : value
+  );
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const OPERATORS = {
+  $gt: (value, operand) => compare(value, operand) > 0,
+  $gte: (value, operand) => compare(value, operand) >= 0,
+  $lt: (value, operand) => compare(value, operand) < 0,
+  $lte: (value, operand) => compare(value, operand) <= 0,
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    const isOperators =
+      condition !== null &&
+      typeof condition === "object" &&
+      !(condition instanceof Date) &&
+      !(condition instanceof ObjectId);
+    if (isOperators) {
+      return Object.entries(condition).every(([op, operand]) =>
+        OPERATORS[op](doc[key], operand)
+      );
+    }
+    return compare(doc[key], condition) === 0;
+  });
+
+// Stands in for a Mongoose model with the query chain find() builds. The
+// last filter is kept so tests can check what reached MongoDB.
+const createModel = (docs) => {
+  const model = {
+    find(filter) {
+      model.lastFilter = filter;
+      let sort = {};
+      let limit = Infinity;
+      const query = {
+        sort: (spec) => ((sort = spec), query),
+        limit: (count) => ((limit = count), query),
+        select: () => query,
+        populate: () => query,
+        then: (resolve, reject) => {
+          const keys = Object.entries(sort);
+          const result = docs
+            .filter((doc) => matches(doc, filter))
+            .sort((a, b) => {
+              for (const [field, direction] of keys) {
+                const order = compare(a[field], b[field]) * direction;
+                if (order !== 0) return order;
+              }
+              return 0;
+            })
+            .slice(0, limit);
+          return Promise.resolve(result).then(resolve, reject);
+        },
+      };
+      return query;
+    },
+  };
+  return model;
+};
+
+// 20 posts sharing five timestamps, so pages often end inside a tie
+const day = (n) => new Date(Date.UTC(2024, 0, n));
+const posts = Array.from({ length: 20 }, (_, i) => ({
+  _id: new ObjectId(),
+  createdAt: day((i % 5) + 1),
+  title: `Post ${String.fromCharCode(97 + (i % 3))}`,
+}));
+
+const createPostList = (model = createModel(posts)) =>
+  createListQuery(model, {
+    sortFields: ["createdAt", "title"],
+    filters: {
+      createdAt: { schema: Joi.date().iso(), range: true },
+    },
+    defaultLimit: 3,
+  });
+
+// Runs the validate middleware on a query string's parsed form
+const validateQuery = (list, query) =>
+  new Promise((resolve, reject) => {
+    const req = { query };
+    list.validate(req, {}, (error) => (error ? reject(error) : resolve(req)));
+  });
+
+const findAll = async (list, query) => {
+  const seen = [];
+  let cursor;
+  do {
+    const req = await validateQuery(list, { ...query, cursor });
+    const page = await list.find(req.listQuery);
+    seen.push(...page.data);
+    assert.equal(page.hasMore, page.nextCursor !== null);
+    cursor = page.nextCursor || undefined;
+  } while (cursor);
+  return seen;
+};
+
+const toCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+const assertInvalidCursor = async (list, query) => {
+  await assert.rejects(validateQuery(list, query), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.extensions.errors, [
+      "Invalid cursor for this sort order",
+    ]);
+    return true;
+  });
+};
+
+describe("createListQuery", () => {
+  it("pages through every document once, breaking ties by _id", async () => {
+    const list = createPostList();
+    const seen = await findAll(list, { sort: "-createdAt" });
+
+    const expected = [...posts].sort(
+      (a, b) => compare(b.createdAt, a.createdAt) || compare(b._id, a._id)
+    );
+    assert.deepEqual(
+      seen.map(({ _id }) => String(_id)),
+      expected.map(({ _id }) => String(_id))
+    );
+  });
+
+  it("pages through ascending sorts on strings", async () => {
+    const list = createPostList();
+    const seen = await findAll(list, { sort: "title", limit: 4 });
+
+    const expected = [...posts].sort(
+      (a, b) => compare(a.title, b.title) || compare(a._id, b._id)
+    );
+    assert.deepEqual(
+      seen.map(({ _id }) => String(_id)),
+      expected.map(({ _id }) => String(_id))
+    );
+  });
+
+  it("encodes the sort, last value and _id in the cursor", async () => {
+    const list = createPostList();
+    const req = await validateQuery(list, { sort: "-createdAt" });
+    const { data, nextCursor } = await list.find(req.listQuery);
+
+    const last = data[data.length - 1];
+    assert.deepEqual(
+      JSON.parse(Buffer.from(nextCursor, "base64url").toString()),
+      {
+        s: "-createdAt",
+        v: last.createdAt.toISOString(),
+        d: true,
+        id: String(last._id),
+      }
+    );
+  });
+
+  it("rejects a cursor issued for another sort", async () => {
+    const list = createPostList();
+    const req = await validateQuery(list, { sort: "-createdAt" });
+    const { nextCursor } = await list.find(req.listQuery);
+
+    await assertInvalidCursor(list, { sort: "title", cursor: nextCursor });
+    await assertInvalidCursor(list, { sort: "createdAt", cursor: nextCursor });
+  });
+
+  it("rejects tampered cursors", async () => {
+    const list = createPostList();
+    const id = String(new ObjectId());
+    const sort = "-createdAt";
+
+    for (const cursor of [
+      "not-a-cursor",
+      toCursor({ s: sort, v: "2024-01-01T00:00:00.000Z", d: true, id: "1" }),
+      toCursor({ s: sort, v: { $gt: "" }, d: false, id }),
+      toCursor({ s: sort, v: "garbage", d: true, id }),
+      toCursor({ s: sort, v: 0, d: true, id }),
+      toCursor({ s: sort, v: null, d: true, id }),
+    ]) {
+      await assertInvalidCursor(list, { sort, cursor });
+    }
+  });
+
+  it("turns range parameters into operators on the field", async () => {
+    const model = createModel(posts);
+    const list = createPostList(model);
+    const req = await validateQuery(list, {
+      createdAt: { gte: "2024-01-02", lt: "2024-01-04" },
+      limit: 100,
+    });
+    const { data } = await list.find(req.listQuery);
+
+    assert.deepEqual(model.lastFilter.$and[1], {
+      createdAt: { $gte: day(2), $lt: day(4) },
+    });
+    assert.equal(data.length, 8);
+    assert.ok(
+      data.every(
+        ({ createdAt }) => createdAt >= day(2) && createdAt < day(4)
+      )
+    );
+  });
+
+  it("rejects unknown operators and parameters", async () => {
+    const list = createPostList();
+
+    await assert.rejects(
+      validateQuery(list, { createdAt: { ne: "2024-01-02" } }),
+      ValidationError
+    );
+    await assert.rejects(validateQuery(list, { sortt: "title" }), ValidationError);
+  });
+});
@@ -0,0 +1,349 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { after, afterEach, beforeEach, describe, it, mock } from "node:test";
+import express from "express";
+import jwt from "jsonwebtoken";
+import { MemoryRedisClient } from "../src/utils/memoryRedis.js";
+
+const CLIENT_ID = "test-client";
+const SIGNING_KEY_ID = "test-key";
+
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+// Mock issuer: discovery, JWKS and a token endpoint that checks PKCE. Codes
+// are handed out by approve() below, standing in for the user consenting.
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const grants = new Map();
+
+const issuerApp = express();
+const issuerServer = await listen(issuerApp);
+const issuer = urlOf(issuerServer);
+
+issuerApp.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+  });
+});
+
+issuerApp.get("/jwks", (req, res) => {
+  res.json({
+    keys: [
+      {
+        ...publicKey.export({ format: "jwk" }),
+        kid: SIGNING_KEY_ID,
+        use: "sig",
+        alg: "RS256",
+      },
+    ],
+  });
+});
+
+issuerApp.post("/token", express.urlencoded({ extended: false }), (req, res) => {
+  const grant = grants.get(req.body.code);
+  grants.delete(req.body.code);
+  const challenge = crypto
+    .createHash("sha256")
+    .update(String(req.body.code_verifier))
+    .digest("base64url");
+  if (!grant || grant.codeChallenge !== challenge) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+  res.json({
+    access_token: "access-token",
+    token_type: "Bearer",
+    id_token: jwt.sign(
+      { iss: issuer, aud: CLIENT_ID, ...grant.claims },
+      privateKey,
+      { algorithm: "RS256", keyid: SIGNING_KEY_ID, expiresIn: 300 }
+    ),
+  });
+});
+
+// Providers are read from the environment when config/oauth.js is imported
+process.env.OAUTH_PROVIDERS = "mock";
+process.env.OAUTH_MOCK_ISSUER = issuer;
+process.env.OAUTH_MOCK_CLIENT_ID = CLIENT_ID;
+process.env.OAUTH_MOCK_CLIENT_SECRET = "test-secret";
+process.env.JWT_SECRET = "test-access-secret";
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+
+const { operations } = await import("../src/config/openapi.js");
+const { hashRing } = await import("../src/utils/consistentHash.js");
+const { default: User } = await import("../src/models/User.js");
+const { globalErrorHandler } = await import("../src/utils/errorHandler.js");
+const { logger } = await import("../src/utils/logger.js");
+const { validateResponses } = await import("../src/utils/openapi.js");
+const { oauthCallback, startOAuthLogin } = await import(
+  "../src/controllers/authController.js"
+);
+
+logger.silent = true;
+
+// Sign-in state and tokens go to in-memory shards instead of Redis
+for (const { name } of [...hashRing.servers]) {
+  hashRing.removeServer(name);
+  hashRing.addServer({ name, client: new MemoryRedisClient() });
+}
+
+// Responses are checked against the spec, as with
+// OPENAPI_VALIDATE_RESPONSES=true, so drift fails these tests
+const app = express();
+app.use(validateResponses(operations));
+app.get("/api/v1/auth/oauth/:provider", startOAuthLogin);
+app.get("/api/v1/auth/oauth/:provider/callback", oauthCallback);
+app.use(globalErrorHandler);
+const appServer = await listen(app);
+const api = `${urlOf(appServer)}/api/v1/auth/oauth/mock`;
+
+after(() => {
+  appServer.close();
+  issuerServer.close();
+});
+
+const startLogin = async (query = "") => {
+  const response = await fetch(`${api}${query}`, { redirect: "manual" });
+  assert.equal(response.status, 302);
+  const location = new URL(response.headers.get("location"));
+  return {
+    location,
+    cookie: response.headers.get("set-cookie").split(";")[0],
+    state: location.searchParams.get("state"),
+    nonce: location.searchParams.get("nonce"),
+    codeChallenge: location.searchParams.get("code_challenge"),
+  };
+};
+
+// The user approves the sign-in at the provider, which redirects back
+// with a code for the login's PKCE challenge
+const approve = (login, claims = {}) => {
+  const code = crypto.randomBytes(16).toString("hex");
+  grants.set(code, {
+    codeChallenge: login.codeChallenge,
+    claims: {
+      sub: "subject-1",
+      nonce: login.nonce,
+      email: "jane@example.com",
+      email_verified: true,
+      ...claims,
+    },
+  });
+  return code;
+};
+
+const callback = async ({ code, state, cookie }) => {
+  const response = await fetch(
+    `${api}/callback?${new URLSearchParams({ code, state })}`,
+    { headers: cookie ? { cookie } : {} }
+  );
+  return { status: response.status, body: await response.json() };
+};
+
+describe("OpenID Connect sign-in", () => {
+  let users;
+
+  // Stands in for MongoDB with the queries the sign-in makes
+  beforeEach(() => {
+    users = [];
+    mock.method(User, "findOne", async (query) => {
+      const match = query.oauthAccounts?.$elemMatch;
+      return (
+        users.find((user) =>
+          match
+            ? user.oauthAccounts.some(
+                (link) =>
+                  link.provider === match.provider &&
+                  link.subject === match.subject
+              )
+            : user.email === query.email
+        ) || null
+      );
+    });
+    mock.method(User, "exists", async ({ username }) =>
+      users.some((user) => user.username === username)
+    );
+    mock.method(User, "create", async (data) => {
+      const user = new User(data);
+      users.push(user);
+      return user;
+    });
+    mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const addUser = (data) => {
+    const user = new User({
+      name: "Jane Doe",
+      username: "jane",
+      email: "jane@example.com",
+      password: "password-hash",
+      isVerified: true,
+      ...data,
+    });
+    users.push(user);
+    return user;
+  };
+
+  it("redirects to the provider with state, nonce and an S256 challenge", async () => {
+    const login = await startLogin();
+
+    const { origin, pathname, searchParams } = login.location;
+    assert.equal(`${origin}${pathname}`, `${issuer}/authorize`);
+    assert.equal(searchParams.get("client_id"), CLIENT_ID);
+    assert.equal(searchParams.get("code_challenge_method"), "S256");
+    assert.ok(login.nonce);
+    assert.ok(login.codeChallenge);
+    assert.equal(login.cookie, `oauth_state=${login.state}`);
+  });
+
+  it("makes the provider ask for credentials again on reauth", async () => {
+    const { searchParams } = (await startLogin("?reauth=true")).location;
+
+    assert.equal(searchParams.get("prompt"), "login");
+    assert.equal(searchParams.get("max_age"), "0");
+  });
+
+  it("keeps the provider's auth_time as the session's sign-in time", async () => {
+    addUser();
+    const authTime = Math.floor(Date.now() / 1000) - 30;
+    const login = await startLogin();
+    const { body } = await callback({
+      code: approve(login, { auth_time: authTime }),
+      ...login,
+    });
+
+    assert.equal(jwt.decode(body.token).authTime, authTime);
+    assert.equal(jwt.decode(body.refreshToken).authTime, authTime);
+  });
+
+  it("doesn't make up a sign-in time the provider didn't send", async () => {
+    addUser();
+    const login = await startLogin();
+    const { body } = await callback({ code: approve(login), ...login });
+
+    assert.equal(jwt.decode(body.token).authTime, undefined);
+  });
+
+  it("rejects a callback without the state cookie", async () => {
+    const login = await startLogin();
+    const { status, body } = await callback({
+      code: approve(login),
+      state: login.state,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_OAUTH_STATE");
+  });
+
+  it("rejects a state that doesn't match the cookie", async () => {
+    const mine = await startLogin();
+    const theirs = await startLogin();
+    const { status, body } = await callback({
+      code: approve(theirs),
+      state: theirs.state,
+      cookie: mine.cookie,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_OAUTH_STATE");
+  });
+
+  it("rejects a state that was already used", async () => {
+    const login = await startLogin();
+    const first = await callback({ code: approve(login), ...login });
+    const replay = await callback({ code: approve(login), ...login });
+
+    assert.equal(first.status, 200);
+    assert.equal(replay.status, 400);
+    assert.equal(replay.body.code, "INVALID_OAUTH_STATE");
+  });
+
+  it("rejects an ID token with another nonce", async () => {
+    const login = await startLogin();
+    const { status, body } = await callback({
+      code: approve(login, { nonce: "another-nonce" }),
+      ...login,
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, "INVALID_ID_TOKEN");
+    assert.equal(users.length, 0);
+  });
+
+  it("rejects a code issued for another PKCE challenge", async () => {
+    const mine = await startLogin();
+    const theirs = await startLogin();
+    const { status, body } = await callback({
+      code: approve(theirs, { nonce: mine.nonce }),
+      state: mine.state,
+      cookie: mine.cookie,
+    });
+
+    assert.equal(status, 502);
+    assert.equal(body.code, "OAUTH_PROVIDER_ERROR");
+    assert.match(body.detail, /invalid_grant/);
+  });
+
+  it("links a verified email to the existing account", async () => {
+    const existing = addUser();
+    const login = await startLogin();
+    const { status, body } = await callback({ code: approve(login), ...login });
+
+    assert.equal(status, 200);
+    assert.equal(body.user.id, String(existing._id));
+    assert.ok(body.token);
+    assert.equal(users.length, 1);
+    assert.equal(existing.oauthAccounts.length, 1);
+    assert.equal(existing.oauthAccounts[0].provider, "mock");
+    assert.equal(existing.oauthAccounts[0].subject, "subject-1");
+  });
+
+  it("doesn't link an unverified email", async () => {
+    const existing = addUser();
+    const login = await startLogin();
+    const { status, body } = await callback({
+      code: approve(login, { email_verified: false }),
+      ...login,
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.code, "OAUTH_EMAIL_NOT_VERIFIED");
+    assert.equal(existing.oauthAccounts.length, 0);
+  });
+
+  it("gives an admin without 2FA only a setup token when it's required", async (t) => {
+    process.env.REQUIRE_ADMIN_2FA = "true";
+    t.after(() => delete process.env.REQUIRE_ADMIN_2FA);
+    addUser({ role: "admin" });
+    const login = await startLogin();
+    const { status, body } = await callback({ code: approve(login), ...login });
+
+    assert.equal(status, 200);
+    assert.equal(body.twoFactorSetupRequired, true);
+    assert.equal(body.token, undefined);
+    assert.equal(body.refreshToken, undefined);
+    assert.equal(jwt.decode(body.setupToken).type, "2fa-enroll");
+  });
+
+  it("creates an account for a new verified email", async () => {
+    const login = await startLogin();
+    const { status, body } = await callback({ code: approve(login), ...login });
+
+    assert.equal(status, 200);
+    assert.equal(users.length, 1);
+    assert.equal(body.user.email, "jane@example.com");
+    assert.equal(users[0].oauthAccounts[0].subject, "subject-1");
+  });
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ConsistentHash } from "../src/utils/consistentHash.js";
+import { MemoryRedisClient } from "../src/utils/memoryRedis.js";
+import {
+  QuorumError,
+  ReplicatedStore,
+} from "../src/utils/replicatedStore.js";
+
+// Three nodes and three replicas, so every node holds every key
+const createStore = (options = {}, clients = {}) => {
+  const nodes = ["a", "b", "c"].map((name) => ({
+    name,
+    client: clients[name] || new MemoryRedisClient(),
+  }));
+  const store = new ReplicatedStore({
+    ring: new ConsistentHash(nodes),
+    replicas: 3,
+    ...options,
+  });
+  const [a, b, c] = nodes.map(({ client }) => client);
+  return { store, a, b, c };
+};
+
+// Read repair runs after get() returns
+const flush = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+// Accepts commands but never answers, like a client that is reconnecting
+const hangingClient = () => ({
+  isReady: true,
+  get: () => new Promise(() => {}),
+  set: () => new Promise(() => {}),
+  pTTL: () => new Promise(() => {}),
+});
+
+describe("ReplicatedStore", () => {
+  it("reads back a value written to every replica", async () => {
+    const { store, a, b, c } = createStore();
+    await store.set("key", { n: 1 });
+
+    assert.deepEqual(await store.get("key"), { n: 1 });
+    for (const client of [a, b, c]) {
+      assert.equal(client.store.size, 1);
+    }
+  });
+
+  it("fails a write when too few replicas are ready", async () => {
+    const { store, b, c } = createStore({ writeQuorum: 2 });
+    b.isReady = false;
+    c.isReady = false;
+
+    await assert.rejects(store.set("key", "value"), QuorumError);
+  });
+
+  it("fails a read when too few replicas are ready", async () => {
+    const { store, a, b } = createStore({ readQuorum: 2 });
+    await store.set("key", "value");
+    a.isReady = false;
+    b.isReady = false;
+
+    await assert.rejects(store.get("key"), (error) => {
+      assert.ok(error instanceof QuorumError);
+      assert.equal(error.required, 2);
+      return true;
+    });
+  });
+
+  it("defaults to overlapping read and write quorums", () => {
+    const { store } = createStore();
+
+    assert.equal(store.writeQuorum, 2);
+    assert.equal(store.readQuorum, 2);
+  });
+
+  it("fails every operation on an empty ring", async () => {
+    const store = new ReplicatedStore({ ring: new ConsistentHash([]) });
+
+    await assert.rejects(store.set("key", "value"), QuorumError);
+    await assert.rejects(store.get("key"), QuorumError);
+  });
+
+  it("skips replicas that aren't ready without calling them", async () => {
+    const { store, c } = createStore({ writeQuorum: 2 });
+    c.isReady = false;
+    c.set = () => assert.fail("an unready replica was called");
+
+    await store.set("key", "value");
+    assert.equal(await store.get("key"), "value");
+  });
+
+  it("times out replicas that never answer", async () => {
+    const { store } = createStore(
+      { readQuorum: 3, timeoutMs: 20 },
+      { c: hangingClient() }
+    );
+
+    await assert.rejects(store.get("key"), QuorumError);
+  });
+
+  it("returns at quorum without waiting for slow replicas", async () => {
+    const { store } = createStore(
+      { writeQuorum: 2, readQuorum: 2, timeoutMs: 500 },
+      { c: hangingClient() }
+    );
+
+    const start = Date.now();
+    await store.set("key", "value");
+    assert.equal(await store.get("key"), "value");
+    assert.ok(Date.now() - start < 400);
+  });
+
+  // A read quorum of 3 sees every replica, so the newest version wins
+  it("repairs a replica that missed a write", async () => {
+    const { store, c } = createStore({ readQuorum: 3 });
+    await store.set("key", "old");
+    c.isReady = false;
+    await store.set("key", "new");
+    c.isReady = true;
+
+    assert.equal(await store.get("key"), "new");
+    await flush();
+    const [raw] = [...c.store.values()].map(({ value }) => value);
+    assert.equal(JSON.parse(raw).value, "new");
+  });
+
+  it("doesn't resurrect a deleted key from a stale replica", async () => {
+    const { store, a, b, c } = createStore({ readQuorum: 3 });
+    await store.set("key", "value");
+    c.isReady = false;
+    await store.del("key");
+    c.isReady = true;
+
+    assert.equal(await store.get("key"), null);
+    await flush();
+    for (const client of [a, b, c]) {
+      const [raw] = [...client.store.values()].map(({ value }) => value);
+      assert.equal(JSON.parse(raw).deleted, true);
+    }
+    assert.equal(await store.get("key"), null);
+  });
+});
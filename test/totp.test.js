@@ -0,0 +1,202 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { MemoryRedisClient } from "../src/utils/memoryRedis.js";
+
+// Secrets are encrypted with a key derived from the environment
+process.env.TWO_FACTOR_ENCRYPTION_KEY = "test-encryption-key";
+
+const {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateTotp,
+  generateTotpSecret,
+  verifyTotp,
+} = await import("../src/utils/totp.js");
+const { hashRing } = await import("../src/utils/consistentHash.js");
+const { default: User } = await import("../src/models/User.js");
+const { AuthenticationError, RateLimitError } = await import(
+  "../src/utils/errorHandler.js"
+);
+const { encryptSecret, generateRecoveryCodes, hashRecoveryCode } =
+  await import("../src/utils/twoFactor.js");
+const { confirmSecondFactor } = await import(
+  "../src/middleware/twoFactorMiddleware.js"
+);
+
+// Attempt counters go to in-memory shards instead of Redis
+for (const { name } of [...hashRing.servers]) {
+  hashRing.removeServer(name);
+  hashRing.addServer({ name, client: new MemoryRedisClient() });
+}
+
+// The RFC 6238 (appendix B) SHA-1 seed, "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const STEP = 30 * 1000;
+
+describe("TOTP", () => {
+  // The RFC lists 8-digit codes; 6-digit codes are their last six digits
+  it("matches the RFC 6238 SHA-1 test vectors", () => {
+    const vectors = [
+      [59, "94287082"],
+      [1111111109, "07081804"],
+      [1111111111, "14050471"],
+      [1234567890, "89005924"],
+      [2000000000, "69279037"],
+      [20000000000, "65353130"],
+    ];
+    for (const [seconds, code] of vectors) {
+      assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code.slice(-6));
+    }
+  });
+
+  it("accepts codes one step either side and returns their step", () => {
+    const time = 1111111111 * 1000;
+    const current = Math.floor(time / STEP);
+
+    for (const offset of [-1, 0, 1]) {
+      const code = generateTotp(RFC_SECRET, time + offset * STEP);
+      assert.equal(verifyTotp(RFC_SECRET, code, { time }), current + offset);
+    }
+    for (const offset of [-2, 2]) {
+      const code = generateTotp(RFC_SECRET, time + offset * STEP);
+      assert.equal(verifyTotp(RFC_SECRET, code, { time }), null);
+    }
+  });
+
+  it("honours a wider window", () => {
+    const time = 1111111111 * 1000;
+    const code = generateTotp(RFC_SECRET, time - 2 * STEP);
+
+    assert.notEqual(verifyTotp(RFC_SECRET, code, { time, window: 2 }), null);
+  });
+
+  it("rejects anything but six digits", () => {
+    for (const code of ["", "12345", "1234567", "12a456", " 123456"]) {
+      assert.equal(verifyTotp(RFC_SECRET, code), null);
+    }
+  });
+
+  it("round-trips secrets through base32", () => {
+    const secret = generateTotpSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(base32Decode(secret).length, 20);
+    assert.equal(base32Encode(base32Decode(secret)), secret);
+    assert.deepEqual(base32Decode(secret.toLowerCase()), base32Decode(secret));
+    assert.throws(() => base32Decode("ABC1"), /Invalid base32 character/);
+  });
+
+  it("builds an otpauth URI authenticator apps can import", () => {
+    const uri = new URL(
+      buildOtpauthUri({
+        secret: RFC_SECRET,
+        account: "jane@example.com",
+        issuer: "Example App",
+      })
+    );
+
+    assert.equal(uri.protocol, "otpauth:");
+    assert.equal(uri.host, "totp");
+    assert.equal(
+      decodeURIComponent(uri.pathname),
+      "/Example App:jane@example.com"
+    );
+    assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+    assert.equal(uri.searchParams.get("digits"), "6");
+    assert.equal(uri.searchParams.get("period"), "30");
+  });
+});
+
+describe("second factor check", () => {
+  let stored;
+  let user;
+  let recoveryCodes;
+
+  // Stands in for MongoDB with the conditional updates that make codes
+  // single-use
+  beforeEach(() => {
+    const recovery = generateRecoveryCodes();
+    recoveryCodes = recovery.codes;
+    stored = { lastUsedStep: null, recoveryCodes: recovery.hashes };
+    user = {
+      _id: `user-${Math.random()}`,
+      twoFactor: { enabled: true, secret: encryptSecret(RFC_SECRET) },
+    };
+
+    mock.method(User, "updateOne", async (filter, update) => {
+      const matches = filter.$or
+        ? filter.$or.some((condition) => {
+            const step = condition["twoFactor.lastUsedStep"];
+            return step === null
+              ? stored.lastUsedStep === null
+              : stored.lastUsedStep < step.$lt;
+          })
+        : stored.recoveryCodes.includes(filter["twoFactor.recoveryCodes"]);
+      if (!matches) return { modifiedCount: 0 };
+
+      if (update.$set) {
+        stored.lastUsedStep = update.$set["twoFactor.lastUsedStep"];
+      }
+      if (update.$pull) {
+        const hash = update.$pull["twoFactor.recoveryCodes"];
+        stored.recoveryCodes = stored.recoveryCodes.filter((h) => h !== hash);
+      }
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("accepts a TOTP code only once per step", async () => {
+    const step = Math.floor(Date.now() / STEP);
+    const code = generateTotp(RFC_SECRET, step * STEP);
+
+    assert.equal(await confirmSecondFactor(user, code), "totp");
+    assert.equal(stored.lastUsedStep, step);
+    await assert.rejects(confirmSecondFactor(user, code), AuthenticationError);
+  });
+
+  it("rejects a code from before the last used step", async () => {
+    const now = Date.now();
+    assert.equal(
+      await confirmSecondFactor(user, generateTotp(RFC_SECRET, now)),
+      "totp"
+    );
+
+    const earlier = generateTotp(RFC_SECRET, now - STEP);
+    await assert.rejects(confirmSecondFactor(user, earlier), AuthenticationError);
+  });
+
+  it("spends each recovery code once, however it is typed", async () => {
+    const [first, second] = recoveryCodes;
+
+    assert.equal(
+      await confirmSecondFactor(user, first.toUpperCase().replace("-", "")),
+      "recovery"
+    );
+    await assert.rejects(confirmSecondFactor(user, first), AuthenticationError);
+    assert.equal(await confirmSecondFactor(user, second), "recovery");
+    assert.equal(stored.recoveryCodes.length, recoveryCodes.length - 2);
+    assert.ok(!stored.recoveryCodes.includes(hashRecoveryCode(first)));
+  });
+
+  it("locks the user out after five wrong codes", async () => {
+    for (let remaining = 4; remaining >= 0; remaining--) {
+      await assert.rejects(confirmSecondFactor(user, "000000"), (error) => {
+        assert.ok(error instanceof AuthenticationError);
+        assert.equal(error.extensions.attemptsRemaining, remaining);
+        return true;
+      });
+    }
+
+    await assert.rejects(
+      confirmSecondFactor(user, generateTotp(RFC_SECRET)),
+      (error) => {
+        assert.ok(error instanceof RateLimitError);
+        assert.ok(error.extensions.retryAfter > 0);
+        return true;
+      }
+    );
+  });
+});
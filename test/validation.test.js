@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import express from "express";
+import Joi from "joi";
+import { schemas } from "../src/config/schemas.js";
+import { validate } from "../src/middleware/validationMiddleware.js";
+import { ValidationError } from "../src/utils/errorHandler.js";
+import { logger } from "../src/utils/logger.js";
+import { validateResponses } from "../src/utils/openapi.js";
+
+logger.silent = true;
+
+// Runs a validate() middleware on a fake request
+const run = (middleware, req) =>
+  new Promise((resolve, reject) => {
+    middleware(req, {}, (error) => (error ? reject(error) : resolve(req)));
+  });
+
+const assertErrors = async (promise, errors) => {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.extensions.errors, errors);
+    return true;
+  });
+};
+
+describe("validate", () => {
+  const middleware = validate({
+    params: { id: Joi.string().hex().length(24).required() },
+    query: { limit: Joi.number().integer() },
+    body: { title: Joi.string().trim().required() },
+  });
+  const id = "a".repeat(24);
+
+  it("strips unknown body and query fields", async () => {
+    const req = await run(middleware, {
+      params: { id },
+      query: { limit: "5", debug: "true" },
+      body: { title: "Hello", role: "admin", $where: "1" },
+    });
+
+    assert.deepEqual(req.body, { title: "Hello" });
+    assert.deepEqual(req.query, { limit: 5 });
+  });
+
+  it("keeps unknown route params", async () => {
+    const req = await run(middleware, {
+      params: { id, extra: "from-the-router" },
+      body: { title: "Hello" },
+    });
+
+    assert.deepEqual(req.params, { id, extra: "from-the-router" });
+  });
+
+  it("writes converted values back to the request", async () => {
+    const req = await run(middleware, {
+      params: { id },
+      query: { limit: "10" },
+      body: { title: "  Hello  " },
+    });
+
+    assert.equal(req.query.limit, 10);
+    assert.equal(req.body.title, "Hello");
+  });
+
+  it("reports every problem across sources at once", async () => {
+    await assertErrors(
+      run(middleware, {
+        params: { id: "nope" },
+        query: { limit: "many" },
+        body: {},
+      }),
+      [
+        '"id" must only contain hexadecimal characters',
+        '"id" length must be 24 characters long',
+        '"limit" must be a number',
+        '"title" is required',
+      ]
+    );
+  });
+
+  it("rejects unknown fields when a schema opts out of stripping", async () => {
+    const updateProfile = validate(schemas.users.updateProfile);
+
+    await assertErrors(
+      run(updateProfile, { body: { name: "Jane Doe", role: "admin" } }),
+      ['"role" cannot be changed here']
+    );
+    const req = await run(updateProfile, { body: { name: "Jane Doe" } });
+    assert.deepEqual(req.body, { name: "Jane Doe" });
+  });
+
+  it("strips unknown fields from the app's own schemas", async () => {
+    const req = await run(validate(schemas.posts.update), {
+      params: {},
+      body: { title: "New title", author: "someone-else", images: [] },
+    });
+
+    assert.deepEqual(req.body, { title: "New title" });
+  });
+});
+
+describe("validateResponses", () => {
+  const operations = {
+    "GET /api/items/:id": {
+      responses: {
+        200: Joi.object({
+          success: Joi.boolean().valid(true).required(),
+          item: Joi.object({ id: Joi.string().required() }).required(),
+        }),
+      },
+    },
+  };
+
+  const app = express();
+  app.use(validateResponses(operations));
+  const items = express.Router();
+  items.get("/:id", (req, res) => {
+    const { id } = req.params;
+    if (id === "extra") {
+      return res.json({ success: true, item: { id }, secret: "leaked" });
+    }
+    if (id === "created") {
+      return res.status(201).json({ success: true, item: { id } });
+    }
+    res.json({ success: true, item: { id } });
+  });
+  app.use("/api/items", items);
+  app.get("/api/undocumented", (req, res) => res.json({ anything: true }));
+
+  let server;
+  let base;
+  before(async () => {
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => server.close());
+
+  const get = async (path) => {
+    const response = await fetch(`${base}${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("lets responses that match the spec through", async () => {
+    const { status, body } = await get("/api/items/1");
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { success: true, item: { id: "1" } });
+  });
+
+  it("replaces a response with an undocumented field", async () => {
+    const { status, body } = await get("/api/items/extra");
+
+    assert.equal(status, 500);
+    assert.equal(body.code, "RESPONSE_SCHEMA_MISMATCH");
+    assert.deepEqual(body.errors, ['"secret" is not allowed']);
+    assert.equal(body.secret, undefined);
+  });
+
+  it("replaces a response with an undeclared status", async () => {
+    const { status, body } = await get("/api/items/created");
+
+    assert.equal(status, 500);
+    assert.deepEqual(body.errors, ["No response schema declared for status 201"]);
+  });
+
+  it("leaves routes missing from the spec alone", async () => {
+    const { status, body } = await get("/api/undocumented");
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { anything: true });
+  });
+});